@@ -7,6 +7,7 @@
  * Build the extension using esbuild.
  * This script bundles src/extension.js into dist/extension.js
  * and includes strip_logic_from_content.js.
+ * The `smart-context` CLI is bundled from src/cli.mjs into dist/cli.js.
  */
 
 import { build } from 'esbuild';
@@ -23,6 +24,14 @@ import path from 'path';
             outfile: path.join('.', 'dist', 'extension.js'),
             external: ['vscode']
         });
+        await build({
+            entryPoints: [path.join('.', 'src', 'cli.mjs')],
+            bundle: true,
+            platform: 'node',
+            format: 'cjs',
+            target: 'node18',
+            outfile: path.join('.', 'dist', 'cli.js'),
+        });
         console.log('Build completed successfully.');
     } catch (error) {
         console.error('Build failed:', error);
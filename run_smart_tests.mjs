@@ -1,20 +1,72 @@
 import assert from 'node:assert/strict';
-import { test, strip_logic_from_content } from './src/strip_logic_from_content.mjs';
+import { test as strip_logic_test } from './src/strip_logic_from_content.mjs';
+import { test as token_budget_test } from './src/token_budget.mjs';
+import { test as format_bundle_test } from './src/format_bundle.mjs';
+import { test as file_tree_test } from './src/file_tree.mjs';
+import { test as redact_secrets_test } from './src/redact_secrets.mjs';
+import { test as skeleton_python_test } from './src/skeleton_python.mjs';
+import { test as skeleton_braces_test } from './src/skeleton_braces.mjs';
+import { test as strip_logic_by_language_test } from './src/strip_logic_by_language.mjs';
+import { test as minify_content_test } from './src/minify_content.mjs';
+import { test as git_changes_test } from './src/git_changes.mjs';
+import { test as import_graph_test } from './src/import_graph.mjs';
+import { test as context_presets_test } from './src/context_presets.mjs';
+import { test as chunk_bundle_test } from './src/chunk_bundle.mjs';
+import { test as walk_folder_test } from './src/walk_folder.mjs';
+import { test as file_filters_test } from './src/file_filters.mjs';
+import { test as symbol_context_test } from './src/symbol_context.mjs';
+import { test as notebook_cells_test } from './src/notebook_cells.mjs';
+import { test as parse_response_test } from './src/parse_response.mjs';
+import { test as context_core_test } from './src/context_core.mjs';
+import { test as copy_snapshots_test } from './src/copy_snapshots.mjs';
+import { test as prompt_templates_test } from './src/prompt_templates.mjs';
+import { test as bundle_history_test } from './src/bundle_history.mjs';
+import { test as ignore_files_test } from './src/ignore_files.mjs';
+import { test as run_cli_test } from './src/run_cli.mjs';
 
-async function run_tests() {
-    if (typeof test.setup === 'function') await test.setup();
+const test_modules = [
+    strip_logic_test,
+    token_budget_test,
+    format_bundle_test,
+    file_tree_test,
+    redact_secrets_test,
+    skeleton_python_test,
+    skeleton_braces_test,
+    strip_logic_by_language_test,
+    minify_content_test,
+    git_changes_test,
+    import_graph_test,
+    context_presets_test,
+    chunk_bundle_test,
+    walk_folder_test,
+    file_filters_test,
+    symbol_context_test,
+    notebook_cells_test,
+    parse_response_test,
+    context_core_test,
+    copy_snapshots_test,
+    prompt_templates_test,
+    bundle_history_test,
+    ignore_files_test,
+    run_cli_test,
+];
 
+async function run_tests() {
     let passed = 0;
     let failed = 0;
-    for (const testCase of test.cases) {
-        if (typeof testCase.before === 'function') await testCase.before.call(testCase);
-        try {
-            await testCase.assert.call(testCase, assert);
-            console.log(`✅ Test case "${testCase.name}" passed.`);
-            passed++;
-        } catch (error) {
-            console.error(`❌ Test case "${testCase.name}" failed:`, error);
-            failed++;
+    for (const test of test_modules) {
+        if (typeof test.setup === 'function') await test.setup();
+
+        for (const testCase of test.cases) {
+            if (typeof testCase.before === 'function') await testCase.before.call(testCase);
+            try {
+                await testCase.assert.call(testCase, assert);
+                console.log(`✅ Test case "${testCase.name}" passed.`);
+                passed++;
+            } catch (error) {
+                console.error(`❌ Test case "${testCase.name}" failed:`, error);
+                failed++;
+            }
         }
     }
 
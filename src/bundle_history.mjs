@@ -0,0 +1,163 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { estimate_tokens } from './token_budget.mjs';
+
+/**
+ * History of delivered bundles, for copying or comparing them again later.
+ *
+ * The entry list is small and kept by the caller (the extension keeps it in workspace state).
+ * Each entry's rendered parts are stored as `<id>.json` in a history folder, and removed when
+ * the entry is deleted or falls past the retention limit.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {number} created_at Milliseconds since the epoch.
+ * @property {string} command What was delivered, e.g. `Folder contents (minified)`.
+ * @property {string} source Folder, files or preset the bundle came from; may be empty.
+ * @property {string} format `markdown`, `xml` or `json`.
+ * @property {string[]} files Bundle paths, in bundle order.
+ * @property {number} size Bytes across all parts.
+ * @property {number} tokens Estimated tokens across all parts.
+ * @property {number} parts
+ */
+
+/**
+ * Describe a delivered bundle for the history.
+ * @param {Object} bundle Same shape as the `format_bundle` argument.
+ * @param {string[]} contents The rendered parts that were delivered.
+ * @param {{command: string, source?: string}} report
+ * @param {number} [now]
+ * @returns {HistoryEntry}
+ */
+export function create_history_entry(bundle, contents, { command, source = '' }, now = Date.now()) {
+  return {
+    id: `${now.toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+    created_at: now,
+    command,
+    source,
+    format: bundle.format || 'markdown',
+    files: [...new Set((bundle.files || []).map((file) => file.path))],
+    size: contents.reduce((sum, part) => sum + Buffer.byteLength(part, 'utf8'), 0),
+    tokens: contents.reduce((sum, part) => sum + estimate_tokens(part), 0),
+    parts: contents.length,
+  };
+}
+
+/**
+ * Store an entry's parts and put it first, dropping the oldest entries past the limit.
+ * @param {string} history_dir
+ * @param {HistoryEntry[]} entries Most recent first.
+ * @param {HistoryEntry} entry
+ * @param {string[]} contents
+ * @param {number} max_entries
+ * @returns {Promise<HistoryEntry[]>} The entries to keep.
+ */
+export async function add_history_entry(history_dir, entries, entry, contents, max_entries) {
+  await fs.promises.mkdir(history_dir, { recursive: true });
+  await fs.promises.writeFile(get_history_file_path(history_dir, entry.id), JSON.stringify(contents), 'utf8');
+  const kept = [entry, ...entries].slice(0, Math.max(1, max_entries));
+  await remove_history_files(history_dir, [entry, ...entries].slice(kept.length));
+  return kept;
+}
+
+/**
+ * Delete entries and their stored parts.
+ * @param {string} history_dir
+ * @param {HistoryEntry[]} entries
+ * @param {string[]} ids
+ * @returns {Promise<HistoryEntry[]>} The remaining entries.
+ */
+export async function remove_history_entries(history_dir, entries, ids) {
+  const removed = new Set(ids);
+  await remove_history_files(history_dir, entries.filter((entry) => removed.has(entry.id)));
+  return entries.filter((entry) => !removed.has(entry.id));
+}
+
+async function remove_history_files(history_dir, entries) {
+  for (const entry of entries) {
+    await fs.promises.rm(get_history_file_path(history_dir, entry.id), { force: true });
+  }
+}
+
+/**
+ * @param {string} history_dir
+ * @param {string} id
+ * @returns {Promise<string[]|null>} The entry's parts, or `null` when they are missing.
+ */
+export async function read_history_contents(history_dir, id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(get_history_file_path(history_dir, id), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function get_history_file_path(history_dir, id) {
+  return path.join(history_dir, `${id.replace(/[^\w-]/g, '')}.json`);
+}
+
+/**
+ * One-line summary of an entry's size.
+ * @param {HistoryEntry} entry
+ * @returns {string} e.g. `12 files · 48.2 KB · ~12,000 tokens · 2 parts`.
+ */
+export function describe_history_entry(entry) {
+  return [
+    `${entry.files.length} ${entry.files.length === 1 ? 'file' : 'files'}`,
+    format_size(entry.size),
+    `~${entry.tokens.toLocaleString('en-US')} tokens`,
+    entry.parts > 1 ? `${entry.parts} parts` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+function format_size(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "history_keeps_the_most_recent_entries",
+      before: async function () {
+        this.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-history-'));
+        this.bundle = { format: 'markdown', files: [{ path: '/a.js' }, { path: '/b.js' }, { path: '/a.js' }] };
+      },
+      assert: async function (a) {
+        let entries = [];
+        const created = [];
+        for (let index = 0; index < 3; index++) {
+          const entry = create_history_entry(this.bundle, [`part ${index}`], { command: 'Folder contents', source: 'src' }, 1000 + index);
+          created.push(entry);
+          entries = await add_history_entry(this.dir, entries, entry, [`part ${index}`], 2);
+        }
+        const oldest = await read_history_contents(this.dir, created[0].id);
+        const newest = await read_history_contents(this.dir, created[2].id);
+        entries = await remove_history_entries(this.dir, entries, [created[2].id]);
+        const deleted = await read_history_contents(this.dir, created[2].id);
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+
+        a.deepEqual(created[0].files, ['/a.js', '/b.js']);
+        a.equal(created[0].size, 6);
+        a.equal(oldest, null);
+        a.deepEqual(newest, ['part 2']);
+        a.deepEqual(entries.map((entry) => entry.id), [created[1].id]);
+        a.equal(deleted, null);
+      },
+    },
+    {
+      name: "history_entry_description",
+      assert: async function (a) {
+        a.equal(describe_history_entry({ files: ['/a.js'], size: 512, tokens: 128, parts: 1 }), '1 file · 512 B · ~128 tokens');
+        a.equal(describe_history_entry({ files: ['/a.js', '/b.js'], size: 3 * 1024 * 1024, tokens: 12000, parts: 2 }), '2 files · 3.0 MB · ~12,000 tokens · 2 parts');
+      },
+    },
+  ],
+};
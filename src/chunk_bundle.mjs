@@ -0,0 +1,105 @@
+import { format_bundle } from './format_bundle.mjs';
+import { estimate_tokens } from './token_budget.mjs';
+
+/**
+ * Split a bundle into numbered parts for models or clipboards that cannot take it whole.
+ *
+ * - Parts break only at file boundaries; a file larger than the limit gets a part of its own.
+ * - Every part repeats the folder structure and carries a `Part N of M` header.
+ * - A bundle that already fits is returned as a single part without a header.
+ */
+
+export const chunk_size_units = ['tokens', 'characters'];
+
+/**
+ * @param {Object} bundle Same shape as the `format_bundle` argument.
+ * @param {Object} opts
+ * @param {number} opts.limit Maximum size of one part; `0` or less disables splitting.
+ * @param {'tokens'|'characters'} [opts.unit='tokens']
+ * @returns {{chunks: string[], oversized: string[]}} `oversized` lists files that alone exceed the limit.
+ */
+export function split_bundle(bundle, { limit, unit = 'tokens' }) {
+  const measure = unit === 'characters' ? (text) => text.length : estimate_tokens;
+  const whole = format_bundle(bundle);
+  if (!limit || limit <= 0 || measure(whole) <= limit) return { chunks: [whole], oversized: [] };
+
+  // Size the header with a generous part number so the real headers never come out larger.
+  const header_size = measure(format_bundle({ ...bundle, files: [], part: { index: 9999, total: 9999 } }));
+  const groups = [];
+  const oversized = [];
+  let current = [];
+  let current_size = header_size;
+  for (const file of bundle.files) {
+    const file_size = measure(format_bundle({ format: bundle.format, files: [file] })) - measure(format_bundle({ format: bundle.format, files: [] }));
+    if (current.length && current_size + file_size > limit) {
+      groups.push(current);
+      current = [];
+      current_size = header_size;
+    }
+    if (header_size + file_size > limit) oversized.push(file.path);
+    current.push(file);
+    current_size += file_size;
+  }
+  if (current.length) groups.push(current);
+
+  const chunks = groups.map((files, index) => format_bundle({
+    ...bundle,
+    files,
+    part: { index: index + 1, total: groups.length },
+  }));
+  return { chunks, oversized };
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "bundle_that_fits_is_not_split",
+      before: async function () {
+        this.bundle = { title: 'File Contents', files: [{ path: '/a.js', content: 'a' }] };
+      },
+      assert: async function (a) {
+        const { chunks } = split_bundle(this.bundle, { limit: 1000 });
+        a.deepEqual(chunks, [format_bundle(this.bundle)]);
+        a.equal(split_bundle(this.bundle, { limit: 0 }).chunks.length, 1);
+      },
+    },
+    {
+      name: "splits_at_file_boundaries_with_part_headers_and_tree",
+      before: async function () {
+        this.bundle = {
+          title: 'File Contents',
+          tree: { name: 'src', structure: '├── a.txt\n├── b.txt\n└── c.txt\n' },
+          files: ['a', 'b', 'c'].map((name) => ({ path: `/${name}.txt`, content: name.repeat(60) })),
+        };
+      },
+      assert: async function (a) {
+        const { chunks, oversized } = split_bundle(this.bundle, { limit: 200, unit: 'characters' });
+        a.equal(chunks.length, 3);
+        a.deepEqual(oversized, []);
+        chunks.forEach((chunk, index) => {
+          a.ok(chunk.startsWith(`Part ${index + 1} of 3\n\nsrc Folder Structure:\n`));
+          a.ok(chunk.length <= 200, `part ${index + 1} is ${chunk.length} characters`);
+        });
+        a.ok(chunks[1].includes('/b.txt\n```txt\n' + 'b'.repeat(60)));
+        a.ok(!chunks[1].includes('/a.txt\n'));
+      },
+    },
+    {
+      name: "reports_files_larger_than_the_limit",
+      before: async function () {
+        this.bundle = {
+          format: 'xml',
+          files: [{ path: '/big.txt', content: 'word '.repeat(200) }, { path: '/small.txt', content: 'ok' }],
+        };
+      },
+      assert: async function (a) {
+        const { chunks, oversized } = split_bundle(this.bundle, { limit: 100 });
+        a.equal(chunks.length, 2);
+        a.deepEqual(oversized, ['/big.txt']);
+        a.ok(chunks[0].startsWith('<part index="1" total="2"/>\n'));
+      },
+    },
+  ],
+};
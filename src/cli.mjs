@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+import { run_cli } from './run_cli.mjs';
+
+run_cli(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    process.stderr.write(`smart-context: ${error.message}\n`);
+    process.exitCode = 1;
+  }
+);
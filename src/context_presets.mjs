@@ -0,0 +1,172 @@
+import * as path from 'path';
+import ignore from 'ignore';
+import { output_formats } from './format_bundle.mjs';
+
+/**
+ * Named context presets shared through the repository.
+ *
+ * Presets live in `.smart-context.json` or `.vscode/smart-context.json` at the workspace root:
+ *
+ *   {
+ *     "presets": {
+ *       "auth": {
+ *         "description": "Auth service, schema and tests",
+ *         "include": ["src/auth/", "db/schema.sql", "test/auth/**"],
+ *         "exclude": ["**\/*.snap"],
+ *         "mode": "stripped",
+ *         "format": "xml"
+ *       }
+ *     }
+ *   }
+ *
+ * `include` and `exclude` use .gitignore pattern syntax, matched against paths relative to the
+ * workspace root. `mode` is `full` (default), `minified` or `stripped`. `format` overrides
+ * `smartContext.outputFormat`.
+ */
+
+export const preset_file_names = ['.smart-context.json', '.vscode/smart-context.json'];
+export const preset_modes = ['full', 'minified', 'stripped'];
+
+/**
+ * Load the presets defined in a workspace folder. When both files exist, presets in
+ * `.smart-context.json` take precedence over same-named ones in `.vscode/smart-context.json`.
+ * @param {string} root_path
+ * @param {Object} io
+ * @param {(file_path: string) => string} io.read_file
+ * @param {(file_path: string) => boolean} io.exists
+ * @returns {{presets: Preset[], errors: string[]}}
+ *
+ * @typedef {{name: string, description: string, include: string[], exclude: string[], mode: string, format: string|null, source: string}} Preset
+ */
+export function load_presets(root_path, { read_file, exists }) {
+  const by_name = new Map();
+  const errors = [];
+  for (const file_name of [...preset_file_names].reverse()) {
+    const file_path = path.join(root_path, file_name);
+    if (!exists(file_path)) continue;
+    let config;
+    try {
+      config = JSON.parse(read_file(file_path));
+    } catch (error) {
+      errors.push(`${file_name}: ${error.message}`);
+      continue;
+    }
+    if (!config || typeof config.presets !== 'object' || Array.isArray(config.presets)) {
+      errors.push(`${file_name}: expected a "presets" object`);
+      continue;
+    }
+    for (const [name, raw] of Object.entries(config.presets)) {
+      const { preset, error } = validate_preset(name, raw);
+      if (error) {
+        errors.push(`${file_name}: ${error}`);
+        continue;
+      }
+      by_name.set(name, { ...preset, source: file_name });
+    }
+  }
+  return { presets: [...by_name.values()], errors };
+}
+
+/**
+ * Check one preset definition and fill in defaults.
+ * @param {string} name
+ * @param {Object} raw
+ * @returns {{preset?: Omit<Preset, 'source'>, error?: string}}
+ */
+export function validate_preset(name, raw) {
+  if (!raw || typeof raw !== 'object') return { error: `preset "${name}" must be an object` };
+  const is_string_list = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+  if (!is_string_list(raw.include) || raw.include.length === 0) {
+    return { error: `preset "${name}" needs a non-empty "include" array of globs` };
+  }
+  if (raw.exclude !== undefined && !is_string_list(raw.exclude)) {
+    return { error: `preset "${name}" has an "exclude" that is not an array of globs` };
+  }
+  const mode = raw.mode ?? 'full';
+  if (!preset_modes.includes(mode)) {
+    return { error: `preset "${name}" has unknown mode "${mode}" (expected ${preset_modes.join(', ')})` };
+  }
+  if (raw.format !== undefined && !output_formats.includes(raw.format)) {
+    return { error: `preset "${name}" has unknown format "${raw.format}" (expected ${output_formats.join(', ')})` };
+  }
+  return {
+    preset: {
+      name,
+      description: typeof raw.description === 'string' ? raw.description : '',
+      include: raw.include,
+      exclude: raw.exclude || [],
+      mode,
+      format: raw.format ?? null,
+    },
+  };
+}
+
+/**
+ * Build a predicate telling whether a workspace-relative path belongs to a preset.
+ * @param {{include: string[], exclude: string[]}} preset
+ * @returns {(relative_path: string) => boolean}
+ */
+export function create_preset_matcher(preset) {
+  const included = ignore().add(preset.include);
+  const excluded = ignore().add(preset.exclude);
+  return (relative_path) => {
+    const normalized = relative_path.replace(/\\/g, '/').replace(/^\/+/, '');
+    return included.ignores(normalized) && !excluded.ignores(normalized);
+  };
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "loads_presets_with_root_file_taking_precedence",
+      before: async function () {
+        this.files = {
+          [path.join('/ws', '.smart-context.json')]: JSON.stringify({
+            presets: {
+              auth: { include: ['src/auth/'], mode: 'stripped', format: 'xml' },
+              broken: { include: [], mode: 'full' },
+            },
+          }),
+          [path.join('/ws', '.vscode/smart-context.json')]: JSON.stringify({
+            presets: {
+              auth: { include: ['old/'] },
+              routes: { description: 'Frontend routes', include: ['web/routes/**'], mode: 'tiny' },
+              docs: { include: ['docs/'] },
+            },
+          }),
+        };
+        this.io = { read_file: (file_path) => this.files[file_path], exists: (file_path) => file_path in this.files };
+      },
+      assert: async function (a) {
+        const { presets, errors } = load_presets('/ws', this.io);
+        a.deepEqual(presets.map((preset) => [preset.name, preset.source]), [
+          ['auth', '.smart-context.json'],
+          ['docs', '.vscode/smart-context.json'],
+        ]);
+        a.deepEqual(presets[0].include, ['src/auth/']);
+        a.equal(presets[0].mode, 'stripped');
+        a.equal(presets[1].mode, 'full');
+        a.equal(presets[1].format, null);
+        a.equal(errors.length, 2);
+        a.ok(errors.some((error) => error.includes('"routes"') && error.includes('tiny')));
+        a.ok(errors.some((error) => error.includes('"broken"')));
+      },
+    },
+    {
+      name: "matcher_applies_include_then_exclude",
+      before: async function () {
+        this.match = create_preset_matcher({ include: ['src/auth/', 'db/schema.sql', 'test/auth/**'], exclude: ['**/*.snap'] });
+      },
+      assert: async function (a) {
+        a.equal(this.match('src/auth/login.ts'), true);
+        a.equal(this.match('src/auth/deep/token.ts'), true);
+        a.equal(this.match('db/schema.sql'), true);
+        a.equal(this.match('/test/auth/login.test.ts'), true);
+        a.equal(this.match('test/auth/__snapshots__/login.snap'), false);
+        a.equal(this.match('src/billing/pay.ts'), false);
+      },
+    },
+  ],
+};
@@ -0,0 +1,274 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { estimate_tokens } from './token_budget.mjs';
+
+/**
+ * Sidebar preview of what a copy would include.
+ *
+ * Every text file in the workspace is listed with a checkbox (ticked by default). Files and
+ * folders left out by ignore rules are listed greyed out, without a checkbox, with the rule
+ * that matched. The view description shows the running file count and token estimate.
+ * Unticked files stay unticked across refreshes.
+ */
+
+export const IGNORED_SCHEME = 'smart-context-ignored';
+
+/**
+ * Greys out ignored entries in the preview. Only handles the preview's own URI scheme.
+ * @type {vscode.FileDecorationProvider}
+ */
+export const ignored_decoration_provider = {
+  provideFileDecoration(uri) {
+    if (uri.scheme !== IGNORED_SCHEME) return undefined;
+    return { color: new vscode.ThemeColor('gitDecoration.ignoredResourceForeground') };
+  },
+};
+
+/**
+ * @typedef {Object} PreviewNode
+ * @property {string} full_path
+ * @property {string} name
+ * @property {boolean} is_directory
+ * @property {PreviewNode[]} children
+ * @property {string|null} ignored_reason Set for entries left out of copies.
+ * @property {PreviewNode|null} parent
+ * @property {number} file_count Included files under the node (1 for an included file).
+ * @property {number} unchecked_count Unticked files among them.
+ * @property {number} tokens Estimated tokens of an included file, as of the last refresh.
+ */
+
+export class ContextPreviewProvider {
+  /**
+   * @param {(root_path: string) => Promise<{files: string[], skipped: Array<{full_path: string, is_directory: boolean, reason: string}>, note: string}>} scan_root
+   *   Lists the text files under a workspace folder, the entries that were skipped, and a note
+   *   on anything the walk limits left out.
+   */
+  constructor(scan_root) {
+    this.scan_root = scan_root;
+    /** @type {PreviewNode[]} */
+    this.roots = [];
+    this.loading = null;
+    this.notes = [];
+    this.unchecked = new Set();
+    this.checked_totals = { files: 0, tokens: 0 };
+    this.token_cache = new Map();
+    this.view = null;
+    this.change_emitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.change_emitter.event;
+  }
+
+  /**
+   * Connect the provider to its view so checkbox changes and the summary line are handled here.
+   * @param {vscode.TreeView<PreviewNode>} view
+   * @returns {vscode.Disposable}
+   */
+  attach(view) {
+    this.view = view;
+    this.update_summary();
+    return view.onDidChangeCheckboxState((event) => {
+      for (const [node, state] of event.items) this.set_checked(node, state === vscode.TreeItemCheckboxState.Checked);
+      this.change_emitter.fire();
+      this.update_summary();
+    });
+  }
+
+  /**
+   * Rescan every workspace folder.
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    this.loading = (async () => {
+      const roots = [];
+      const notes = [];
+      for (const folder of vscode.workspace.workspaceFolders || []) {
+        const root = create_node(folder.uri.fsPath, folder.name, true, null, null);
+        const { files, skipped, note } = await this.scan_root(folder.uri.fsPath);
+        for (const file_path of files) insert_node(root, file_path, false, null);
+        for (const entry of skipped) insert_node(root, entry.full_path, entry.is_directory, entry.reason);
+        sort_nodes(root);
+        for (const file of included_file_nodes(root)) file.tokens = await this.get_tokens(file.full_path);
+        roots.push(root);
+        if (note) notes.push(note);
+      }
+      this.roots = roots;
+      this.notes = notes;
+      this.recount();
+      this.change_emitter.fire();
+      this.update_summary();
+    })();
+    return this.loading;
+  }
+
+  /**
+   * Tick or untick every file.
+   * @param {boolean} checked
+   */
+  set_all(checked) {
+    this.unchecked.clear();
+    if (!checked) {
+      for (const root of this.roots) {
+        for (const file_path of included_files(root)) this.unchecked.add(file_path);
+      }
+    }
+    this.recount();
+    this.change_emitter.fire();
+    this.update_summary();
+  }
+
+  /**
+   * Tick or untick the files under a node, updating the counts of its ancestors and the
+   * running totals for just the files that changed.
+   * @param {PreviewNode} node
+   * @param {boolean} checked
+   */
+  set_checked(node, checked) {
+    for (const file of included_file_nodes(node)) {
+      if (this.unchecked.has(file.full_path) !== checked) continue;
+      if (checked) this.unchecked.delete(file.full_path);
+      else this.unchecked.add(file.full_path);
+      const change = checked ? 1 : -1;
+      this.checked_totals.files += change;
+      this.checked_totals.tokens += change * file.tokens;
+      for (let current = file; current; current = current.parent) current.unchecked_count -= change;
+    }
+  }
+
+  /**
+   * Recompute file counts and totals for the whole tree from the token estimates read during
+   * the last refresh. Never reads files.
+   */
+  recount() {
+    const totals = { files: 0, tokens: 0 };
+    const count = (node) => {
+      if (node.ignored_reason) return;
+      if (!node.is_directory) {
+        node.file_count = 1;
+        node.unchecked_count = this.unchecked.has(node.full_path) ? 1 : 0;
+        if (!node.unchecked_count) {
+          totals.files++;
+          totals.tokens += node.tokens;
+        }
+        return;
+      }
+      node.children.forEach(count);
+      node.file_count = node.children.reduce((sum, child) => sum + child.file_count, 0);
+      node.unchecked_count = node.children.reduce((sum, child) => sum + child.unchecked_count, 0);
+    };
+    this.roots.forEach(count);
+    this.checked_totals = totals;
+  }
+
+  /**
+   * Absolute paths of the ticked files, in tree order.
+   * @returns {string[]}
+   */
+  get_checked_files() {
+    return this.roots.flatMap((root) => included_files(root)).filter((file_path) => !this.unchecked.has(file_path));
+  }
+
+  /**
+   * @param {PreviewNode} [node]
+   * @returns {Promise<PreviewNode[]>}
+   */
+  async getChildren(node) {
+    if (node) return node.children;
+    await (this.loading || this.refresh());
+    return this.roots.length === 1 ? this.roots[0].children : this.roots;
+  }
+
+  /**
+   * @param {PreviewNode} node
+   * @returns {vscode.TreeItem}
+   */
+  getTreeItem(node) {
+    const item = new vscode.TreeItem(node.name, node.is_directory && !node.ignored_reason
+      ? vscode.TreeItemCollapsibleState.Collapsed
+      : vscode.TreeItemCollapsibleState.None);
+    item.id = node.full_path;
+
+    if (node.ignored_reason) {
+      item.resourceUri = vscode.Uri.file(node.full_path).with({ scheme: IGNORED_SCHEME });
+      if (node.is_directory) item.iconPath = vscode.ThemeIcon.Folder;
+      item.description = node.ignored_reason;
+      item.tooltip = `${vscode.workspace.asRelativePath(node.full_path)} is ${node.ignored_reason}`;
+      return item;
+    }
+
+    item.resourceUri = vscode.Uri.file(node.full_path);
+    const checked = node.file_count > 0 && node.unchecked_count === 0;
+    item.checkboxState = checked ? vscode.TreeItemCheckboxState.Checked : vscode.TreeItemCheckboxState.Unchecked;
+    if (!node.is_directory) {
+      item.description = `~${node.tokens.toLocaleString()} tokens`;
+      item.command = { command: 'vscode.open', title: 'Open File', arguments: [item.resourceUri] };
+    }
+    return item;
+  }
+
+  update_summary() {
+    if (!this.view) return;
+    const { files, tokens } = this.checked_totals;
+    this.view.description = `${files} files · ~${tokens.toLocaleString()} tokens`;
+    this.view.message = this.notes.length ? this.notes.join('\n') : undefined;
+  }
+
+  /**
+   * Estimated tokens of a file, cached until its modification time changes.
+   * @param {string} file_path
+   * @returns {Promise<number>}
+   */
+  async get_tokens(file_path) {
+    try {
+      const mtime_ms = (await fs.promises.stat(file_path)).mtimeMs;
+      const cached = this.token_cache.get(file_path);
+      if (cached && cached.mtime_ms === mtime_ms) return cached.tokens;
+      const tokens = estimate_tokens(await fs.promises.readFile(file_path, 'utf8'));
+      this.token_cache.set(file_path, { mtime_ms, tokens });
+      return tokens;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+function insert_node(root, full_path, is_directory, ignored_reason) {
+  const segments = path.relative(root.full_path, full_path).split(path.sep);
+  let parent = root;
+  segments.forEach((segment, index) => {
+    const is_leaf = index === segments.length - 1;
+    let child = parent.children.find((candidate) => candidate.name === segment);
+    if (!child) {
+      child = create_node(path.join(parent.full_path, segment), segment, is_leaf ? is_directory : true, is_leaf ? ignored_reason : null, parent);
+      parent.children.push(child);
+    }
+    parent = child;
+  });
+}
+
+function create_node(full_path, name, is_directory, ignored_reason, parent) {
+  return { full_path, name, is_directory, children: [], ignored_reason, parent, file_count: 0, unchecked_count: 0, tokens: 0 };
+}
+
+function sort_nodes(node) {
+  node.children.sort((a, b) => (b.is_directory - a.is_directory) || a.name.localeCompare(b.name));
+  node.children.forEach(sort_nodes);
+}
+
+/**
+ * Files under a node that copies would include.
+ * @param {PreviewNode} node
+ * @returns {string[]}
+ */
+function included_files(node) {
+  return included_file_nodes(node).map((file) => file.full_path);
+}
+
+/**
+ * @param {PreviewNode} node
+ * @returns {PreviewNode[]}
+ */
+function included_file_nodes(node) {
+  if (node.ignored_reason) return [];
+  if (!node.is_directory) return [node];
+  return node.children.flatMap(included_file_nodes);
+}
@@ -0,0 +1,285 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+/**
+ * Snapshots of copied bundles, for copying only what changed since the last copy.
+ *
+ * A snapshot maps each copied file's bundle path (e.g. `/src/app.js`) to a hash of its content.
+ * Contents are kept once per hash in a blob folder, so modified files can be diffed against
+ * what was copied. Blobs no snapshot refers to are removed by `prune_snapshot_blobs`.
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} label Shown when picking a snapshot, e.g. `src, docs` or `Preset "API"`.
+ * @property {{type: 'selection', paths: string[]}|{type: 'preset', root_path: string, name: string}} source
+ *   What to collect again for the next incremental copy.
+ * @property {string} base_path Folder that bundle paths are relative to.
+ * @property {number} created_at Milliseconds since the epoch.
+ * @property {Object<string, string>} files Bundle path to content hash.
+ */
+
+/**
+ * @param {string} content
+ * @returns {string} Hex SHA-256.
+ */
+export function hash_content(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read files for a snapshot or a comparison.
+ * @param {string} base_path
+ * @param {string[]} text_files Absolute paths.
+ * @returns {Promise<Array<{path: string, full_path: string, content: string, hash: string}>>}
+ */
+export async function read_snapshot_files(base_path, text_files) {
+  const files = [];
+  for (const full_path of text_files) {
+    const content = await fs.promises.readFile(full_path, 'utf8');
+    files.push({
+      path: '/' + path.relative(base_path, full_path).replace(/\\/g, '/'),
+      full_path,
+      content,
+      hash: hash_content(content),
+    });
+  }
+  return files;
+}
+
+/**
+ * Sort current files against a snapshot.
+ * @template {{path: string, hash: string}} T
+ * @param {Object<string, string>} snapshot_files Bundle path to hash.
+ * @param {T[]} current_files
+ * @returns {{added: T[], modified: T[], deleted: string[], unchanged: number}}
+ */
+export function compare_to_snapshot(snapshot_files, current_files) {
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+  for (const file of current_files) {
+    const previous = snapshot_files[file.path];
+    if (previous === undefined) added.push(file);
+    else if (previous !== file.hash) modified.push(file);
+    else unchanged++;
+  }
+  const current_paths = new Set(current_files.map((file) => file.path));
+  const deleted = Object.keys(snapshot_files).filter((file_path) => !current_paths.has(file_path)).sort();
+  return { added, modified, deleted, unchanged };
+}
+
+/**
+ * Store the content of each file under its hash.
+ * @param {string} blob_dir
+ * @param {Array<{content: string, hash: string}>} files
+ */
+export async function save_snapshot_blobs(blob_dir, files) {
+  await fs.promises.mkdir(blob_dir, { recursive: true });
+  for (const { content, hash } of files) {
+    const blob_path = path.join(blob_dir, hash);
+    if (!fs.existsSync(blob_path)) await fs.promises.writeFile(blob_path, content, 'utf8');
+  }
+}
+
+/**
+ * @param {string} blob_dir
+ * @param {string} hash
+ * @returns {Promise<string|null>} `null` when the blob is missing.
+ */
+export async function read_snapshot_blob(blob_dir, hash) {
+  try {
+    return await fs.promises.readFile(path.join(blob_dir, hash), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Delete blobs that no snapshot refers to.
+ * @param {string} blob_dir
+ * @param {Snapshot[]} snapshots
+ */
+export async function prune_snapshot_blobs(blob_dir, snapshots) {
+  const referenced = new Set(snapshots.flatMap((snapshot) => Object.values(snapshot.files)));
+  const names = await fs.promises.readdir(blob_dir).catch(() => []);
+  for (const name of names) {
+    if (!referenced.has(name)) await fs.promises.rm(path.join(blob_dir, name), { force: true });
+  }
+}
+
+/** Above this many line pairs, a changed region is shown as removed and re-added in full. */
+const MAX_DIFF_CELLS = 2000 * 2000;
+
+/**
+ * Unified diff between two texts, in the same shape as `git diff` output.
+ * @param {string} old_text
+ * @param {string} new_text
+ * @param {Object} [opts]
+ * @param {string} [opts.old_path='a']
+ * @param {string} [opts.new_path='b']
+ * @param {number} [opts.context=3] Unchanged lines around each change.
+ * @returns {string} Empty when the texts are equal.
+ */
+export function create_unified_diff(old_text, new_text, { old_path = 'a', new_path = 'b', context = 3 } = {}) {
+  if (old_text === new_text) return '';
+  const old_lines = split_lines(old_text);
+  const new_lines = split_lines(new_text);
+  const operations = diff_lines(old_lines, new_lines);
+
+  // Line numbers before each operation, for hunk headers.
+  const positions = [];
+  let old_line = 1;
+  let new_line = 1;
+  for (const { type } of operations) {
+    positions.push({ old_line, new_line });
+    if (type !== '+') old_line++;
+    if (type !== '-') new_line++;
+  }
+
+  // Changes closer than twice the context share a hunk.
+  const changed = operations.flatMap((operation, index) => operation.type === ' ' ? [] : [index]);
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2 + 1) last.end = index;
+    else groups.push({ start: index, end: index });
+  }
+
+  const hunks = groups.map((group) => {
+    const slice = operations.slice(Math.max(0, group.start - context), Math.min(operations.length, group.end + context + 1));
+    const { old_line: old_start, new_line: new_start } = positions[Math.max(0, group.start - context)];
+    const old_count = slice.filter((operation) => operation.type !== '+').length;
+    const new_count = slice.filter((operation) => operation.type !== '-').length;
+    const old_range = `${old_count ? old_start : old_start - 1},${old_count}`;
+    const new_range = `${new_count ? new_start : new_start - 1},${new_count}`;
+    return `@@ -${old_range} +${new_range} @@\n${slice.map(({ type, line }) => type + line).join('\n')}\n`;
+  });
+  return `--- ${old_path}\n+++ ${new_path}\n${hunks.join('')}`;
+}
+
+function split_lines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line-level edit script: common prefix and suffix are matched directly, the middle by
+ * longest common subsequence.
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diff_lines(old_lines, new_lines) {
+  let prefix = 0;
+  while (prefix < old_lines.length && prefix < new_lines.length && old_lines[prefix] === new_lines[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < old_lines.length - prefix && suffix < new_lines.length - prefix
+    && old_lines[old_lines.length - 1 - suffix] === new_lines[new_lines.length - 1 - suffix]) suffix++;
+
+  const old_middle = old_lines.slice(prefix, old_lines.length - suffix);
+  const new_middle = new_lines.slice(prefix, new_lines.length - suffix);
+  const operations = old_lines.slice(0, prefix).map((line) => ({ type: ' ', line }));
+  operations.push(...diff_middle(old_middle, new_middle));
+  operations.push(...old_lines.slice(old_lines.length - suffix).map((line) => ({ type: ' ', line })));
+  return operations;
+}
+
+function diff_middle(old_lines, new_lines) {
+  const rows = old_lines.length;
+  const columns = new_lines.length;
+  if ((rows + 1) * (columns + 1) > MAX_DIFF_CELLS) {
+    return [...old_lines.map((line) => ({ type: '-', line })), ...new_lines.map((line) => ({ type: '+', line }))];
+  }
+  // lengths[i][j]: longest common subsequence of old_lines[i..] and new_lines[j..].
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  const at = (row, column) => row * (columns + 1) + column;
+  for (let row = rows - 1; row >= 0; row--) {
+    for (let column = columns - 1; column >= 0; column--) {
+      lengths[at(row, column)] = old_lines[row] === new_lines[column]
+        ? lengths[at(row + 1, column + 1)] + 1
+        : Math.max(lengths[at(row + 1, column)], lengths[at(row, column + 1)]);
+    }
+  }
+  const operations = [];
+  let row = 0;
+  let column = 0;
+  while (row < rows || column < columns) {
+    if (row < rows && column < columns && old_lines[row] === new_lines[column]) {
+      operations.push({ type: ' ', line: old_lines[row] });
+      row++;
+      column++;
+    } else if (column < columns && (row === rows || lengths[at(row, column + 1)] > lengths[at(row + 1, column)])) {
+      operations.push({ type: '+', line: new_lines[column++] });
+    } else {
+      operations.push({ type: '-', line: old_lines[row++] });
+    }
+  }
+  return operations;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "compare_sorts_files_into_added_modified_and_deleted",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-snapshot-'));
+        await fs.promises.writeFile(path.join(this.root, 'kept.js'), 'same');
+        await fs.promises.writeFile(path.join(this.root, 'changed.js'), 'new');
+        await fs.promises.writeFile(path.join(this.root, 'added.js'), 'added');
+      },
+      assert: async function (a) {
+        const files = await read_snapshot_files(this.root, ['kept.js', 'changed.js', 'added.js'].map((name) => path.join(this.root, name)));
+        const blob_dir = path.join(this.root, 'blobs');
+        await save_snapshot_blobs(blob_dir, files);
+        const snapshot_files = { '/kept.js': hash_content('same'), '/changed.js': hash_content('old'), '/removed.js': hash_content('gone') };
+        await prune_snapshot_blobs(blob_dir, [{ files: { '/kept.js': hash_content('same') } }]);
+        const kept_blob = await read_snapshot_blob(blob_dir, hash_content('same'));
+        const pruned_blob = await read_snapshot_blob(blob_dir, hash_content('added'));
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+
+        const result = compare_to_snapshot(snapshot_files, files);
+        a.deepEqual(result.added.map((file) => file.path), ['/added.js']);
+        a.deepEqual(result.modified.map((file) => file.path), ['/changed.js']);
+        a.deepEqual(result.deleted, ['/removed.js']);
+        a.equal(result.unchanged, 1);
+        a.equal(kept_blob, 'same');
+        a.equal(pruned_blob, null);
+      },
+    },
+    {
+      name: "unified_diff_groups_changes_into_hunks",
+      before: async function () {
+        this.old_text = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`).join('\n') + '\n';
+        this.new_text = this.old_text.replace('line 2\n', 'line two\n').replace('line 18\n', '');
+      },
+      assert: async function (a) {
+        a.equal(create_unified_diff('same\n', 'same\n'), '');
+        a.equal(create_unified_diff(this.old_text, this.new_text, { old_path: 'a/f.txt', new_path: 'b/f.txt' }), [
+          '--- a/f.txt',
+          '+++ b/f.txt',
+          '@@ -1,5 +1,5 @@',
+          ' line 1',
+          '-line 2',
+          '+line two',
+          ' line 3',
+          ' line 4',
+          ' line 5',
+          '@@ -15,6 +15,5 @@',
+          ' line 15',
+          ' line 16',
+          ' line 17',
+          '-line 18',
+          ' line 19',
+          ' line 20',
+          '',
+        ].join('\n'));
+        a.equal(create_unified_diff('', 'a\nb\n'), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+      },
+    },
+  ],
+};
@@ -22,8 +22,25 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
-import { execSync } from 'child_process';
-import { strip_logic_from_content } from './strip_logic_from_content.mjs';
+import { execFileSync } from 'child_process';
+import { get_skeleton_language, strip_logic_for_file } from './strip_logic_by_language.mjs';
+import { minify_content } from './minify_content.mjs';
+import { apply_token_budget, describe_budget_result, estimate_tokens } from './token_budget.mjs';
+import { format_bundle, get_language_id } from './format_bundle.mjs';
+import { build_file_tree, get_common_base_path } from './file_tree.mjs';
+import { create_preset_matcher, load_presets } from './context_presets.mjs';
+import { ContextPreviewProvider, ignored_decoration_provider } from './context_preview.mjs';
+import { BundleHistoryProvider, HISTORY_SCHEME, get_history_uri } from './history_view.mjs';
+import { add_history_entry, create_history_entry, read_history_contents, remove_history_entries } from './bundle_history.mjs';
+import { describe_walk_result } from './walk_folder.mjs';
+import { collect_import_graph, format_import_tree, load_tsconfig_paths } from './import_graph.mjs';
+import { enclosing_symbol_kinds, find_enclosing_symbol, find_identifiers, format_line_range, format_symbol_outline, get_definition_skeleton, merge_pieces, symbol_kind_names } from './symbol_context.mjs';
+import { get_repo_root, list_branches, parse_git_uri_query, run_git } from './git_changes.mjs';
+import { get_used_placeholders, load_templates } from './prompt_templates.mjs';
+import { format_notebook } from './notebook_cells.mjs';
+import { apply_hunks, parse_response, resolve_target_path } from './parse_response.mjs';
+import { compare_to_snapshot, create_unified_diff, prune_snapshot_blobs, read_snapshot_blob, read_snapshot_files, save_snapshot_blobs } from './copy_snapshots.mjs';
+import { build_files_bundle, build_git_changes_bundle, build_git_history_bundle, bundle_mode_titles, collect_matching_files, collect_roots, collect_selection, get_bundle_path, get_part_file_paths, name_roots, render_bundle, walk_with_ignore_rules } from './context_core.mjs';
 
 import {
   load_ignore_patterns,
@@ -31,225 +48,1884 @@ import {
   is_text_file
 } from '../../jsbrains/smart-fs/utils/ignore.js';
 
+const ignore_utils = { load_ignore_patterns, should_ignore, is_text_file };
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+export function activate(context) {
+  console.log('Activating Smart Context extension');
+
+  let copy_folder_disposable = vscode.commands.registerCommand('smartContext.copyFolderContents', async (uri, uris) => {
+    console.log("Command executed with URI:", uri);
+    await copy_folder_contents(uri, uris, false);
+  });
+
+  let copy_workspace_disposable = vscode.commands.registerCommand('smartContext.copyWorkspace', async () => {
+    await copy_workspace();
+  });
+
+  let copy_with_template_disposable = vscode.commands.registerCommand('smartContext.copyWithTemplate', async (uri, uris) => {
+    await copy_with_template(uri, uris);
+  });
+
+  let copy_open_files_disposable = vscode.commands.registerCommand('smartContext.copyOpenFilesContents', async () => {
+    console.log("Copying contents of all open files or diffs, based on tab labels");
+    await copy_open_files(false);
+  });
+
+  // Minimized versions
+  let copy_folder_disposable_min = vscode.commands.registerCommand('smartContext.copyFolderContentsMin', async (uri, uris) => {
+    console.log("Command executed with URI for minified version:", uri);
+    await copy_folder_contents(uri, uris, true);
+  });
+
+  let copy_open_files_disposable_min = vscode.commands.registerCommand('smartContext.copyOpenFilesContentsMin', async () => {
+    console.log("Copying contents (minified) of all open files or diffs, based on tab labels");
+    await copy_open_files(true);
+  });
+
+  // Commands for stripping logic
+  let strip_logic_folder_disposable = vscode.commands.registerCommand('smartContext.stripLogicFromMethods', async (uri, uris) => {
+    console.log("Stripping logic from folder methods with URI:", uri);
+    await strip_logic_from_folder_methods(uri, uris);
+  });
+
+  let strip_logic_open_files_disposable = vscode.commands.registerCommand('smartContext.stripLogicFromMethodsOpenFiles', async () => {
+    console.log("Stripping logic from methods in all open files");
+    await strip_logic_from_open_files();
+  });
+
+  let copy_outline_open_files_disposable = vscode.commands.registerCommand('smartContext.copyOutlineOpenFiles', async () => {
+    await copy_outline_of_open_files();
+  });
+
+  // Commands for copying git changes across the whole repository
+  let copy_staged_changes_disposable = vscode.commands.registerCommand('smartContext.copyStagedChanges', async () => {
+    await copy_git_changes('staged');
+  });
+
+  let copy_unstaged_changes_disposable = vscode.commands.registerCommand('smartContext.copyUnstagedChanges', async () => {
+    await copy_git_changes('unstaged');
+  });
+
+  let copy_branch_changes_disposable = vscode.commands.registerCommand('smartContext.copyBranchChanges', async () => {
+    await copy_git_changes('branch');
+  });
+
+  let copy_with_git_history_disposable = vscode.commands.registerCommand('smartContext.copyWithGitHistory', async (uri, uris) => {
+    await copy_with_git_history(uri, uris);
+  });
+
+  let copy_file_with_imports_disposable = vscode.commands.registerCommand('smartContext.copyFileWithImports', async (uri) => {
+    await copy_file_with_imports(uri);
+  });
+
+  let copy_selection_with_context_disposable = vscode.commands.registerCommand('smartContext.copySelectionWithContext', async () => {
+    await copy_selection_with_context();
+  });
+
+  let copy_preset_disposable = vscode.commands.registerCommand('smartContext.copyPreset', async () => {
+    await copy_preset();
+  });
+
+  let apply_response_disposable = vscode.commands.registerCommand('smartContext.applyResponse', async () => {
+    try {
+      await apply_response();
+    } catch (error) {
+      vscode.window.showErrorMessage("Failed to apply response: " + error.message);
+    }
+  });
+
+  let copy_files_with_errors_disposable = vscode.commands.registerCommand('smartContext.copyFilesWithErrors', async () => {
+    await copy_files_with_errors();
+  });
+
+  // Snapshots of folder and preset copies, for copying only what changed since the last one
+  snapshot_storage = {
+    state: context.workspaceState,
+    blob_dir: path.join((context.storageUri || context.globalStorageUri).fsPath, 'snapshots'),
+  };
+  let copy_changes_since_last_copy_disposable = vscode.commands.registerCommand('smartContext.copyChangesSinceLastCopy', async () => {
+    await copy_changes_since_last_copy();
+  });
+
+  // History of delivered bundles
+  history_storage = {
+    state: context.workspaceState,
+    dir: path.join((context.storageUri || context.globalStorageUri).fsPath, 'history'),
+  };
+  history_provider = new BundleHistoryProvider(get_history_entries, is_history_enabled);
+  const history_view = vscode.window.createTreeView('smartContext.history', {
+    treeDataProvider: history_provider,
+    canSelectMany: true,
+  });
+  history_provider.attach(history_view);
+
+  let history_open_disposable = vscode.commands.registerCommand('smartContext.history.open', async (entry) => {
+    await open_history_entry(entry);
+  });
+
+  let history_recopy_disposable = vscode.commands.registerCommand('smartContext.history.recopy', async (entry) => {
+    await recopy_history_entry(entry);
+  });
+
+  let history_compare_disposable = vscode.commands.registerCommand('smartContext.history.compare', async (entry, entries) => {
+    await compare_history_entries(entry, entries);
+  });
+
+  let history_delete_disposable = vscode.commands.registerCommand('smartContext.history.delete', async (entry, entries) => {
+    await delete_history_entries(entries?.length ? entries : [entry]);
+  });
+
+  let history_clear_disposable = vscode.commands.registerCommand('smartContext.history.clear', async () => {
+    await clear_history();
+  });
+
+  // Sidebar preview of what a copy would include
+  const preview_provider = new ContextPreviewProvider(scan_workspace_folder);
+  const preview_view = vscode.window.createTreeView('smartContext.preview', {
+    treeDataProvider: preview_provider,
+    manageCheckboxStateManually: true,
+    showCollapseAll: true,
+  });
+
+  let preview_refresh_disposable = vscode.commands.registerCommand('smartContext.preview.refresh', () => {
+    preview_provider.refresh();
+  });
+
+  let preview_check_all_disposable = vscode.commands.registerCommand('smartContext.preview.checkAll', () => {
+    preview_provider.set_all(true);
+  });
+
+  let preview_uncheck_all_disposable = vscode.commands.registerCommand('smartContext.preview.uncheckAll', () => {
+    preview_provider.set_all(false);
+  });
+
+  let preview_copy_disposable = vscode.commands.registerCommand('smartContext.preview.copy', async () => {
+    await copy_preview_selection(preview_provider);
+  });
+
+  context.subscriptions.push(copy_folder_disposable);
+  context.subscriptions.push(copy_workspace_disposable);
+  context.subscriptions.push(copy_with_template_disposable);
+  context.subscriptions.push(copy_open_files_disposable);
+  context.subscriptions.push(copy_folder_disposable_min);
+  context.subscriptions.push(copy_open_files_disposable_min);
+  context.subscriptions.push(strip_logic_folder_disposable);
+  context.subscriptions.push(strip_logic_open_files_disposable);
+  context.subscriptions.push(copy_outline_open_files_disposable);
+  context.subscriptions.push(copy_staged_changes_disposable);
+  context.subscriptions.push(copy_unstaged_changes_disposable);
+  context.subscriptions.push(copy_branch_changes_disposable);
+  context.subscriptions.push(copy_with_git_history_disposable);
+  context.subscriptions.push(copy_file_with_imports_disposable);
+  context.subscriptions.push(copy_selection_with_context_disposable);
+  context.subscriptions.push(copy_preset_disposable);
+  context.subscriptions.push(apply_response_disposable);
+  context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, proposed_content_provider));
+  context.subscriptions.push(copy_files_with_errors_disposable);
+  context.subscriptions.push(copy_changes_since_last_copy_disposable);
+  context.subscriptions.push(history_view);
+  context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(HISTORY_SCHEME, history_content_provider));
+  context.subscriptions.push(history_open_disposable);
+  context.subscriptions.push(history_recopy_disposable);
+  context.subscriptions.push(history_compare_disposable);
+  context.subscriptions.push(history_delete_disposable);
+  context.subscriptions.push(history_clear_disposable);
+  context.subscriptions.push(preview_view);
+  context.subscriptions.push(preview_provider.attach(preview_view));
+  context.subscriptions.push(vscode.window.registerFileDecorationProvider(ignored_decoration_provider));
+  context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(() => preview_provider.refresh()));
+  context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((event) => {
+    const filter_settings = ['exclude', 'forceInclude', 'skipLockfiles', 'skipGeneratedFiles', 'includeDotfiles', 'maxFiles', 'maxFileSizeKb', 'maxTotalSizeMb'];
+    if (filter_settings.some((name) => event.affectsConfiguration(`smartContext.${name}`))) preview_provider.refresh();
+    if (event.affectsConfiguration('smartContext.historyEnabled')) on_history_setting_changed();
+    if (event.affectsConfiguration('smartContext.historyMaxEntries')) trim_history();
+  }));
+  context.subscriptions.push(preview_refresh_disposable);
+  context.subscriptions.push(preview_check_all_disposable);
+  context.subscriptions.push(preview_uncheck_all_disposable);
+  context.subscriptions.push(preview_copy_disposable);
+}
+
+export function deactivate() {}
+
+/**
+ * Copy the contents of the selected files and folders to clipboard, optionally minifying the content.
+ * @param {vscode.Uri|undefined} uri The item the command was invoked on.
+ * @param {vscode.Uri[]|undefined} uris Every selected item when invoked from a multi-selection.
+ * @param {boolean} minify
+ * @param {import('./prompt_templates.mjs').PromptTemplate} [template] Defaults to `smartContext.defaultTemplate`.
+ */
+async function copy_folder_contents(uri, uris, minify, template) {
+  const selected_paths = await resolve_selected_paths(uri, uris);
+  if (!selected_paths) return;
+
+  try {
+    const selection = await with_walk_progress((walk_opts) => collect_selection(selected_paths, get_core_settings(), ignore_utils, walk_opts));
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+
+    if (selection.text_files.length === 0) {
+      vscode.window.showInformationMessage("No text files found in the selected files and folders.");
+      return;
+    }
+
+    const bundle = await copy_text_files(selection, {
+      minify,
+      summary: minify ? 'Folder contents (minified)' : 'Folder contents',
+      source: selected_paths.map((item_path) => vscode.workspace.asRelativePath(item_path)).join(', '),
+      details: selection.notes,
+      template,
+    });
+    if (bundle) await save_copy_snapshot({ type: 'selection', paths: selected_paths }, selection, bundle);
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy folder contents: " + error.message);
+  }
+}
+
+/**
+ * Copy every workspace folder as one bundle, or only the folders picked when there are several.
+ * Each folder is walked with its own ignore files; with more than one folder, paths start with
+ * the folder's name and the folders share one tree.
+ */
+async function copy_workspace() {
+  const roots = get_workspace_roots();
+  if (roots.length === 0) {
+    vscode.window.showErrorMessage("Open a folder or workspace to copy.");
+    return;
+  }
+  let picked_roots = roots;
+  if (roots.length > 1) {
+    const picked = await vscode.window.showQuickPick(
+      roots.map((root) => ({ label: root.name, description: root.path, picked: true, root })),
+      { canPickMany: true, placeHolder: 'Select the workspace folders to copy' }
+    );
+    if (!picked || picked.length === 0) return;
+    picked_roots = picked.map((item) => item.root);
+  }
+
+  try {
+    const settings = get_core_settings();
+    const selection = await with_walk_progress((walk_opts) => picked_roots.length === 1
+      ? collect_selection([picked_roots[0].path], settings, ignore_utils, walk_opts)
+      : collect_roots(picked_roots, vscode.workspace.name || 'Workspace', settings, ignore_utils, walk_opts));
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+    if (selection.text_files.length === 0) {
+      vscode.window.showInformationMessage("No text files found in the workspace.");
+      return;
+    }
+
+    await copy_text_files(selection, {
+      minify: false,
+      summary: picked_roots.length === roots.length ? 'Workspace' : `Workspace folders ${picked_roots.map((root) => root.name).join(', ')}`,
+      details: selection.notes,
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy workspace: " + error.message);
+  }
+}
+
+/**
+ * Workspace folders with unique names, as used to prefix paths from multi-root workspaces.
+ * @returns {Array<{name: string, path: string}>}
+ */
+function get_workspace_roots() {
+  return name_roots((vscode.workspace.workspaceFolders || []).map((folder) => ({ name: folder.name, path: folder.uri.fsPath })));
+}
+
+/**
+ * Path of a file in a bundle: relative to its workspace folder, and starting with that folder's
+ * name when the workspace has several. Files outside the workspace keep their full path.
+ * @param {vscode.Uri} uri
+ * @returns {string} e.g. `/api/src/server.ts`.
+ */
+function get_workspace_bundle_path(uri) {
+  const folder = vscode.workspace.getWorkspaceFolder(uri);
+  if (!folder) return '/' + vscode.workspace.asRelativePath(uri).replace(/\\/g, '/');
+  const relative_path = path.relative(folder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+  const roots = get_workspace_roots();
+  if (roots.length < 2) return '/' + relative_path;
+  return `/${roots[folder.index].name}/${relative_path}`;
+}
+
+/**
+ * Copy exactly the files ticked in the preview view.
+ * @param {ContextPreviewProvider} preview_provider
+ */
+async function copy_preview_selection(preview_provider) {
+  const text_files = preview_provider.get_checked_files();
+  if (text_files.length === 0) {
+    vscode.window.showInformationMessage("No files are checked in the Smart Context preview.");
+    return;
+  }
+
+  try {
+    const base_path = get_common_base_path(text_files.map((file_path) => ({ path: file_path, is_directory: false })));
+    const structure = build_file_tree(text_files.map((file_path) => path.relative(base_path, file_path)));
+    await copy_text_files({ base_path, text_files, structure }, { minify: false, summary: 'Checked files' });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy checked files: " + error.message);
+  }
+}
+
+/**
+ * List a workspace folder for the preview view: its text files plus everything that was skipped.
+ * @param {string} root_path
+ * @returns {Promise<{files: string[], skipped: Array<{full_path: string, is_directory: boolean, reason: string}>, note: string}>}
+ */
+async function scan_workspace_folder(root_path) {
+  const settings = get_core_settings();
+  const result = await vscode.window.withProgress(
+    { location: { viewId: 'smartContext.preview' } },
+    () => walk_with_ignore_rules(root_path, settings, ignore_utils)
+  );
+  return {
+    files: result.files.map((file) => file.full_path),
+    skipped: result.skipped,
+    note: describe_walk_result(result, settings.limits),
+  };
+}
+
+/**
+ * Read, budget and deliver a list of text files as one bundle.
+ * @param {{base_path: string, text_files: string[], structure: string}} selection
+ * @param {Object} opts
+ * @param {boolean} opts.minify
+ * @param {string} opts.summary Names the bundle in the notification.
+ * @param {string} [opts.source] What was copied, for the bundle history.
+ * @param {string[]} [opts.details] Extra notification lines, e.g. what the folder walk skipped.
+ * @param {string} [opts.title] Heading for the file list.
+ * @param {import('./prompt_templates.mjs').PromptTemplate|null} [opts.template] Replaces the
+ *   built-in headings; defaults to `smartContext.defaultTemplate`.
+ * @param {null|'all'|'errors'} [opts.diagnostics] Which diagnostics to attach to each file;
+ *   defaults to `smartContext.includeDiagnostics`, or `all` when the template lists diagnostics.
+ * @returns {Promise<Object|null>} The delivered bundle, or null when the export was cancelled.
+ */
+async function copy_text_files(selection, {
+  minify,
+  summary,
+  source,
+  details = [],
+  title = bundle_mode_titles[minify ? 'minified' : 'full'],
+  template = get_default_template(),
+  diagnostics = get_include_diagnostics_setting() || uses_placeholder(template, 'diagnostics') ? 'all' : null,
+}) {
+  const result = await build_files_bundle(selection, get_core_settings(), {
+    mode: minify ? 'minified' : 'full',
+    title,
+    get_diagnostics: diagnostics
+      ? (file_path) => get_file_diagnostics(vscode.Uri.file(file_path), { errors_only: diagnostics === 'errors' })
+      : null,
+  });
+
+  const bundle = { ...result.bundle, ...(template ? await get_template_fields(template, selection.text_files) : {}) };
+  const delivered = await deliver_bundle(bundle, {
+    summary,
+    source,
+    count: `${bundle.files.length} files`,
+    details: [...details, template ? `Template: ${template.name}` : '', describe_attached_diagnostics(bundle.files), ...result.details],
+  });
+  return delivered ? bundle : null;
+}
+
+/**
+ * Copy every workspace file that currently has errors, each followed by its error diagnostics.
+ */
+async function copy_files_with_errors() {
+  const text_files = vscode.languages.getDiagnostics()
+    .filter(([uri, diagnostics]) => uri.scheme === 'file'
+      && vscode.workspace.getWorkspaceFolder(uri)
+      && diagnostics.some((diagnostic) => diagnostic.severity === vscode.DiagnosticSeverity.Error))
+    .map(([uri]) => uri.fsPath)
+    .filter((file_path) => fs.existsSync(file_path))
+    .sort();
+  if (text_files.length === 0) {
+    vscode.window.showInformationMessage("No files in the workspace have errors.");
+    return;
+  }
+
+  try {
+    const base_path = get_common_base_path(text_files.map((file_path) => ({ path: file_path, is_directory: false })));
+    const structure = build_file_tree(text_files.map((file_path) => path.relative(base_path, file_path)));
+    await copy_text_files({ base_path, text_files, structure }, {
+      minify: false,
+      summary: 'Files with errors',
+      title: 'Files With Errors',
+      diagnostics: 'errors',
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy files with errors: " + error.message);
+  }
+}
+
+/**
+ * Diagnostics the editor currently reports for a file, sorted by position.
+ * @param {vscode.Uri} uri
+ * @param {{errors_only?: boolean}} [opts]
+ * @returns {import('./format_bundle.mjs').Diagnostic[]}
+ */
+function get_file_diagnostics(uri, { errors_only = false } = {}) {
+  const severity_names = ['error', 'warning', 'info', 'hint'];
+  return vscode.languages.getDiagnostics(uri)
+    .filter((diagnostic) => !errors_only || diagnostic.severity === vscode.DiagnosticSeverity.Error)
+    .sort((a, b) => a.range.start.compareTo(b.range.start))
+    .map((diagnostic) => ({
+      severity: severity_names[diagnostic.severity],
+      line: diagnostic.range.start.line + 1,
+      column: diagnostic.range.start.character + 1,
+      source: diagnostic.source || '',
+      code: String(typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code ?? ''),
+      message: diagnostic.message,
+    }));
+}
+
+/**
+ * @param {Array<{diagnostics?: Array}>} files
+ * @returns {string} Empty when no file carries diagnostics.
+ */
+function describe_attached_diagnostics(files) {
+  const count = files.reduce((sum, file) => sum + (file.diagnostics?.length || 0), 0);
+  return count ? `Attached ${count} diagnostic(s).` : '';
+}
+
+/**
+ * Copy every open tab in every tab group (optionally minified). Text tabs are read from their
+ * in-memory documents, so unsaved changes and untitled buffers are included. Git diff tabs of
+ * staged or unstaged changes are copied as a diff (or the file content when there is none), other
+ * diff tabs as both sides, and notebooks as numbered cells. Tabs that fail to read are listed in
+ * the notification.
+ * @param {boolean} minify
+ * @param {import('./prompt_templates.mjs').PromptTemplate|null} [template] Replaces the built-in
+ *   headings; defaults to `smartContext.defaultTemplate`.
+ */
+async function copy_open_files(minify, template = get_default_template()) {
+  const tabs = vscode.window.tabGroups.all.flatMap((group) => group.tabs);
+  if (tabs.length === 0) {
+    vscode.window.showInformationMessage("No open files to copy.");
+    return;
+  }
+
+  try {
+    const bundle = {
+      format: get_output_format(),
+      title: minify ? 'Open Files Contents (Minified)' : 'Open Files Contents',
+    };
+    const include_diagnostics = get_include_diagnostics_setting() || uses_placeholder(template, 'diagnostics');
+    const include_outputs = vscode.workspace.getConfiguration('smartContext').get('notebookOutputs', false);
+    const seen = new Set();
+    const tab_labels = [];
+    const skipped = [];
+    const unreadable = [];
+    const entries = [];
+    const file_paths = [];
+
+    for (const tab of tabs) {
+      let tab_entries;
+      try {
+        tab_entries = await get_tab_entries(tab, { minify, include_outputs });
+      } catch (error) {
+        unreadable.push(`${tab.label} (${error.message})`);
+        continue;
+      }
+      if (!tab_entries) {
+        skipped.push(tab.label);
+        continue;
+      }
+      // The same file can be open in several tab groups.
+      const new_entries = tab_entries.filter((entry) => !seen.has(entry.key));
+      if (new_entries.length === 0) continue;
+      tab_labels.push(tab.label);
+      for (const { key, uri, ...entry } of new_entries) {
+        seen.add(key);
+        if (uri?.scheme === 'file') file_paths.push(uri.fsPath);
+        entries.push({ ...entry, diagnostics: include_diagnostics && uri ? get_file_diagnostics(uri) : [] });
+      }
+    }
+
+    const { budget, strategy } = get_token_budget_settings();
+    const budget_result = apply_token_budget(entries, {
+      budget,
+      strategy,
+      reserved_tokens: estimate_tokens(format_bundle({ ...bundle, files: [] })),
+    });
+
+    await deliver_bundle({
+      ...bundle,
+      files: budget_result.files,
+      ...(template ? await get_template_fields(template, file_paths) : {}),
+    }, {
+      summary: minify ? 'Contents of all open tabs (minified)' : 'Contents of all open tabs',
+      count: `${tab_labels.length} tabs`,
+      details: [
+        `Tabs: ${tab_labels.join(', ')}`,
+        template ? `Template: ${template.name}` : '',
+        skipped.length ? `Skipped tabs that are not text or notebooks: ${skipped.join(', ')}` : '',
+        unreadable.length ? `Could not read tabs: ${unreadable.join(', ')}` : '',
+        describe_attached_diagnostics(budget_result.files),
+        describe_budget_result(budget_result, budget),
+      ],
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy open files: " + error.message);
+  }
+}
+
+/**
+ * Bundle entries for one tab. `key` identifies what the entry shows, so tabs open in several
+ * groups are copied once; `uri` is the document diagnostics are read from.
+ * @param {vscode.Tab} tab
+ * @param {{minify: boolean, include_outputs: boolean}} opts
+ * @returns {Promise<Array<{key: string, uri?: vscode.Uri, path: string, content: string, label?: string, language?: string, mtime_ms: number}>|null>}
+ *   `null` for tabs that are neither text, diffs nor notebooks.
+ */
+async function get_tab_entries(tab, { minify, include_outputs }) {
+  const input = tab.input;
+  if (input instanceof vscode.TabInputText) {
+    return [get_document_entry(await vscode.workspace.openTextDocument(input.uri), minify)];
+  }
+
+  if (input instanceof vscode.TabInputTextDiff) {
+    const modified_document = await vscode.workspace.openTextDocument(input.modified);
+    // Git diff tabs compare the index with the working tree, or HEAD with the index (`~` is the
+    // index). Other git comparisons, such as timeline or commit diffs, are copied as both sides.
+    const git_original = input.original.scheme === 'git' ? parse_git_uri_query(input.original.query) : null;
+    const git_modified = input.modified.scheme === 'git' ? parse_git_uri_query(input.modified.query) : null;
+    const is_working_tree = input.modified.scheme === 'file';
+    if (!git_original || !(is_working_tree || git_modified?.ref === '~')) {
+      const original_document = await vscode.workspace.openTextDocument(input.original);
+      return [
+        { ...get_document_entry(original_document, minify), label: `Original (${tab.label})` },
+        { ...get_document_entry(modified_document, minify), label: `Modified (${tab.label})` },
+      ];
+    }
+
+    const key = `${input.original.toString()}|${input.modified.toString()}`;
+    const diff_text = get_git_diff_for_file(git_original.path, !is_working_tree);
+    const relative_path = get_workspace_bundle_path(vscode.Uri.file(git_original.path));
+    const mtime_ms = fs.existsSync(git_original.path) ? fs.statSync(git_original.path).mtimeMs : Date.now();
+    if (diff_text === '') {
+      return [{ ...get_document_entry(modified_document, minify), key, path: relative_path, label: 'File Contents' }];
+    }
+    const unsaved_note = is_working_tree && modified_document.isDirty ? ' (unsaved changes not included)' : '';
+    return [{
+      key,
+      uri: vscode.Uri.file(git_original.path),
+      path: relative_path,
+      label: (is_working_tree ? 'Working Tree Diff' : 'Staged Diff') + unsaved_note,
+      language: 'diff',
+      content: diff_text,
+      mtime_ms,
+    }];
+  }
+
+  if (input instanceof vscode.TabInputNotebook) {
+    const notebook = vscode.workspace.notebookDocuments.find((document) => document.uri.toString() === input.uri.toString())
+      || await vscode.workspace.openNotebookDocument(input.uri);
+    const cells = notebook.getCells().map((cell) => ({
+      kind: cell.kind === vscode.NotebookCellKind.Markup ? 'markdown' : 'code',
+      language: cell.document.languageId,
+      source: cell.document.getText(),
+      outputs: cell.outputs.map((output) => output.items.map((item) => ({ mime: item.mime, data: item.data }))),
+    }));
+    return [{
+      key: notebook.uri.toString(),
+      path: get_workspace_bundle_path(notebook.uri),
+      label: notebook.isDirty ? 'Notebook Cells (Unsaved Changes)' : 'Notebook Cells',
+      language: 'markdown',
+      content: format_notebook(cells, { include_outputs }),
+      mtime_ms: !notebook.isDirty && fs.existsSync(notebook.uri.fsPath) ? fs.statSync(notebook.uri.fsPath).mtimeMs : Date.now(),
+    }];
+  }
+
+  return null;
+}
+
+/**
+ * Bundle entry for a text document, taken from memory so unsaved edits are included.
+ * @param {vscode.TextDocument} document
+ * @param {boolean} minify
+ */
+function get_document_entry(document, minify) {
+  const file_content = document.getText();
+  const on_disk = !document.isUntitled && document.uri.scheme === 'file' && fs.existsSync(document.fileName);
+  return {
+    key: document.uri.toString(),
+    uri: document.uri,
+    path: document.isUntitled ? '/' + document.uri.path : get_workspace_bundle_path(document.uri),
+    label: document.isUntitled ? 'Unsaved Buffer' : document.isDirty ? 'Unsaved Changes' : undefined,
+    language: get_language_id(document.fileName) || document.languageId,
+    content: minify ? minify_content(file_content, document.fileName) : file_content,
+    mtime_ms: on_disk && !document.isDirty ? fs.statSync(document.fileName).mtimeMs : Date.now(),
+  };
+}
+
+/**
+ * Copy a file together with the local files it imports, followed recursively up to
+ * `smartContext.importDepth` levels. The dependency tree replaces the folder structure.
+ * @param {vscode.Uri|undefined} uri The file the command was invoked on; defaults to the active editor.
+ */
+async function copy_file_with_imports(uri) {
+  const entry_uri = uri && uri.fsPath ? uri : vscode.window.activeTextEditor?.document.uri;
+  if (!entry_uri || entry_uri.scheme !== 'file') {
+    vscode.window.showErrorMessage("Open or select a file to copy with its imports.");
+    return;
+  }
+
+  try {
+    const config = vscode.workspace.getConfiguration('smartContext');
+    const entry_file = entry_uri.fsPath;
+    const io = {
+      read_file: (file_path) => fs.readFileSync(file_path, 'utf8'),
+      exists: (file_path) => fs.existsSync(file_path) && fs.statSync(file_path).isFile(),
+    };
+    const tsconfig = config.get('importTsconfigPaths', true) ? load_tsconfig_paths(path.dirname(entry_file), io) : null;
+    const graph = collect_import_graph(entry_file, { max_depth: config.get('importDepth', 3), tsconfig, ...io });
+
+    const base_path = get_common_base_path(graph.files.map((file_path) => ({ path: file_path, is_directory: false })));
+    const to_relative = (file_path) => path.relative(base_path, file_path).replace(/\\/g, '/');
+    const strip_imports = config.get('importStripLogic', false);
+    const files = graph.files.map((file_path) => {
+      const file_content = io.read_file(file_path);
+      const is_import = file_path !== entry_file;
+      return {
+        path: '/' + to_relative(file_path),
+        content: is_import && strip_imports ? strip_logic_for_file(file_path, file_content) : file_content,
+        mtime_ms: fs.statSync(file_path).mtimeMs,
+      };
+    });
+
+    const bundle = {
+      format: get_output_format(),
+      title: strip_imports ? 'File Contents (Imports With Logic Stripped)' : 'File Contents',
+      tree: { name: path.basename(entry_file), heading: 'Dependency Tree', structure: format_import_tree(graph.root, to_relative) },
+    };
+    const { budget, strategy } = get_token_budget_settings();
+    const budget_result = apply_token_budget(files, {
+      budget,
+      strategy,
+      reserved_tokens: estimate_tokens(format_bundle({ ...bundle, files: [] })),
+    });
+
+    await deliver_bundle({ ...bundle, files: budget_result.files }, {
+      summary: `${path.basename(entry_file)} and its imports`,
+      count: `${budget_result.files.length} files`,
+      details: [
+        graph.unresolved.length ? `Could not resolve: ${graph.unresolved.map(({ specifier, from }) => `${specifier} (in ${to_relative(from)})`).join(', ')}` : '',
+        describe_budget_result(budget_result, budget),
+      ],
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy file with imports: " + error.message);
+  }
+}
+
+/**
+ * Copy the function or class around the selection (or cursor), followed by the definitions of
+ * the identifiers it uses, as found by the language server. Definitions are copied in full or as
+ * skeletons, per `smartContext.selectionDefinitions`; ones outside the workspace are left out.
+ */
+async function copy_selection_with_context() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showErrorMessage("Open a file and select the code to copy.");
+    return;
+  }
+  const document = editor.document;
+  const definition_mode = vscode.workspace.getConfiguration('smartContext').get('selectionDefinitions', 'full');
+
+  try {
+    const enclosing = find_enclosing_symbol(await get_document_symbols(document.uri), editor.selection, { kinds: enclosing_symbol_kinds });
+    const primary_range = enclosing ? enclosing.range : editor.selection;
+    const primary = {
+      key: document.uri.toString(),
+      uri: document.uri,
+      start_line: primary_range.start.line,
+      end_line: primary_range.end.line,
+      description: enclosing ? `${symbol_kind_names[enclosing.kind]} ${enclosing.name}` : 'selection',
+    };
+
+    const definitions = definition_mode === 'none' ? [] : await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: 'Smart Context: resolving definitions',
+      cancellable: true,
+    }, (progress, token) => find_referenced_definitions(document, primary, token));
+    if (!definitions) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+
+    const pieces = merge_pieces([primary, ...definitions]);
+    const files = [];
+    for (const piece of pieces) {
+      const piece_document = piece.uri.toString() === document.uri.toString() ? document : await vscode.workspace.openTextDocument(piece.uri);
+      const text = piece_document.getText(new vscode.Range(piece.start_line, 0, piece.end_line, piece_document.lineAt(piece.end_line).text.length));
+      const as_skeleton = piece !== primary && definition_mode === 'skeleton';
+      files.push({
+        path: get_workspace_bundle_path(piece.uri),
+        language: get_language_id(piece.uri.fsPath) || piece_document.languageId,
+        label: `${format_line_range(piece.start_line, piece.end_line)}, ${piece.description}`,
+        content: as_skeleton ? get_definition_skeleton(piece.uri.fsPath, text) : text,
+      });
+    }
+
+    await deliver_bundle({
+      format: get_output_format(),
+      title: definition_mode === 'skeleton' ? 'Selection With Context (Definitions With Logic Stripped)' : 'Selection With Context',
+      files,
+    }, {
+      summary: `${primary.description} with ${files.length - 1} definition(s)`,
+      count: `${files.length} pieces`,
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy selection with context: " + error.message);
+  }
+}
+
+/**
+ * Resolve every identifier in a piece of code to its definition in the workspace.
+ * @param {vscode.TextDocument} document
+ * @param {{start_line: number, end_line: number}} primary
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<Array<{key: string, uri: vscode.Uri, start_line: number, end_line: number, description: string}>|null>}
+ *   `null` when cancelled.
+ */
+async function find_referenced_definitions(document, primary, token) {
+  const start = new vscode.Position(primary.start_line, 0);
+  const text = document.getText(new vscode.Range(start, document.lineAt(primary.end_line).range.end));
+  const base_offset = document.offsetAt(start);
+  const symbols_by_file = new Map();
+  const definitions = [];
+
+  for (const { name, offset } of find_identifiers(text)) {
+    if (token.isCancellationRequested) return null;
+    const locations = await vscode.commands.executeCommand('vscode.executeDefinitionProvider', document.uri, document.positionAt(base_offset + offset)) || [];
+    for (const location of locations) {
+      const uri = location.targetUri || location.uri;
+      const target_range = location.targetRange || location.range;
+      if (uri.scheme !== 'file' || !vscode.workspace.getWorkspaceFolder(uri) || uri.fsPath.split(path.sep).includes('node_modules')) continue;
+
+      const key = uri.toString();
+      if (!symbols_by_file.has(key)) symbols_by_file.set(key, await get_document_symbols(uri));
+      const symbol = find_enclosing_symbol(symbols_by_file.get(key), target_range);
+      const range = symbol ? symbol.range : target_range;
+      definitions.push({
+        key,
+        uri,
+        start_line: range.start.line,
+        end_line: range.end.line,
+        description: `definition of ${symbol ? symbol.name : name}`,
+      });
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Symbols of a document from its language server, as a `DocumentSymbol`-shaped tree.
+ * Providers that return flat `SymbolInformation` lists are converted to a flat list.
+ * @param {vscode.Uri} uri
+ * @returns {Promise<Array<{name: string, detail?: string, kind: number, range: vscode.Range, children: Array}>>}
+ */
+async function get_document_symbols(uri) {
+  const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri) || [];
+  return symbols.map((symbol) => symbol.location
+    ? { name: symbol.name, detail: symbol.containerName || '', kind: symbol.kind, range: symbol.location.range, children: [] }
+    : symbol);
+}
+
+/**
+ * Copy a named preset from `.smart-context.json` or `.vscode/smart-context.json`.
+ * Presets from every workspace folder are offered in one quick-pick.
+ */
+async function copy_preset() {
+  const workspace_folders = vscode.workspace.workspaceFolders || [];
+  const io = {
+    read_file: (file_path) => fs.readFileSync(file_path, 'utf8'),
+    exists: (file_path) => fs.existsSync(file_path),
+  };
+  const items = [];
+  for (const folder of workspace_folders) {
+    const { presets, errors } = load_presets(folder.uri.fsPath, io);
+    if (errors.length) {
+      vscode.window.showWarningMessage(`Ignoring invalid Smart Context presets in ${folder.name}: ${errors.join('; ')}`);
+    }
+    for (const preset of presets) {
+      items.push({
+        label: preset.name,
+        description: [preset.mode, preset.format, workspace_folders.length > 1 ? folder.name : ''].filter(Boolean).join(' · '),
+        detail: preset.description || preset.include.join(', '),
+        preset,
+        root_path: folder.uri.fsPath,
+      });
+    }
+  }
+  if (items.length === 0) {
+    vscode.window.showInformationMessage("No presets found. Define them in .smart-context.json or .vscode/smart-context.json.");
+    return;
+  }
+
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: 'Select a context preset to copy',
+    matchOnDescription: true,
+    matchOnDetail: true,
+  });
+  if (!picked) return;
+
+  try {
+    const { preset, root_path } = picked;
+    const settings = { ...get_core_settings(), format: preset.format || get_output_format() };
+    const selection = await with_walk_progress((walk_opts) => collect_matching_files(root_path, create_preset_matcher(preset), settings, ignore_utils, walk_opts));
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+
+    const title = `${bundle_mode_titles[preset.mode]} (Preset: ${preset.name})`;
+    const result = preset.mode === 'stripped'
+      ? await build_stripped_bundle(selection, settings, title)
+      : await build_files_bundle(selection, settings, { mode: preset.mode, title });
+    if (!result) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+    if (result.bundle.files.length === 0) {
+      vscode.window.showInformationMessage(`Preset "${preset.name}" matched no text files.`);
+      return;
+    }
+
+    const delivered = await deliver_bundle(result.bundle, {
+      summary: `Preset "${preset.name}"`,
+      source: `Preset "${preset.name}" in ${path.basename(root_path)}`,
+      count: `${result.bundle.files.length} files`,
+      details: [...selection.notes, ...result.details],
+    });
+    if (delivered) await save_copy_snapshot({ type: 'preset', root_path, name: preset.name }, selection, result.bundle);
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy preset: " + error.message);
+  }
+}
+
+/**
+ * Copy every change in a repository: staged, unstaged (including untracked files), or all
+ * commits on the current branch since it diverged from a chosen base branch.
+ * Each file's diff is followed by its full post-change content.
+ * @param {'staged'|'unstaged'|'branch'} mode
+ */
+async function copy_git_changes(mode) {
+  const repo_path = await resolve_git_repo();
+  if (!repo_path) return;
+
+  try {
+    let base;
+    if (mode === 'branch') {
+      base = await vscode.window.showQuickPick(await list_branches(repo_path), {
+        placeHolder: 'Select the base branch to compare HEAD against',
+      });
+      if (!base) return;
+    }
+
+    const result = await build_git_changes_bundle(repo_path, mode, base, get_core_settings());
+    if (!result) {
+      vscode.window.showInformationMessage(`No ${mode === 'branch' ? `changes in ${base}...HEAD` : `${mode} changes`} found.`);
+      return;
+    }
+
+    await deliver_bundle(result.bundle, {
+      summary: result.bundle.title,
+      count: `${result.change_count} files`,
+      details: result.details,
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy git changes: " + error.message);
+  }
+}
+
+/**
+ * Copy files with their git history: the last commits that touched each file, then the full
+ * patch of the most recent commits to any of them. When the active editor has a selection in one
+ * of the copied files, its lines are added with blame annotations.
+ * - `smartContext.gitHistoryCommits`: commits listed for each file.
+ * - `smartContext.gitHistoryPatches`: most recent commits copied as patches; `0` for none.
+ * - `smartContext.gitHistoryBlame`: set to `false` to leave blame out.
+ * @param {vscode.Uri|undefined} uri The item the command was invoked on; the active file when
+ *   run from the Command Palette.
+ * @param {vscode.Uri[]|undefined} uris Every selected item when invoked from a multi-selection.
+ */
+async function copy_with_git_history(uri, uris) {
+  const editor = vscode.window.activeTextEditor;
+  const active_file = editor?.document.uri.scheme === 'file' ? editor.document.uri : undefined;
+  const selected_paths = await resolve_selected_paths(uri || active_file, uris);
+  if (!selected_paths) return;
+  const config = vscode.workspace.getConfiguration('smartContext');
+
+  try {
+    const selection = await with_walk_progress((walk_opts) => collect_selection(selected_paths, get_core_settings(), ignore_utils, walk_opts));
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+    if (selection.text_files.length === 0) {
+      vscode.window.showInformationMessage("No text files found in the selected files and folders.");
+      return;
+    }
+
+    let blame = null;
+    const notes = [...selection.notes];
+    if (config.get('gitHistoryBlame', true) && active_file && !editor.selection.isEmpty && selection.text_files.includes(active_file.fsPath)) {
+      const { start, end } = editor.selection;
+      // A selection ending at the start of a line does not include that line.
+      const end_line = end.character === 0 && end.line > start.line ? end.line : end.line + 1;
+      blame = { file_path: active_file.fsPath, start_line: start.line + 1, end_line };
+      if (editor.document.isDirty) notes.push(`Blame is for the saved ${path.basename(active_file.fsPath)}; save it to include unsaved edits.`);
+    }
+
+    const total = selection.text_files.length;
+    const result = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: 'Smart Context: reading git history',
+      cancellable: true,
+    }, (progress, token) => build_git_history_bundle(selection, get_core_settings(), {
+      commit_count: config.get('gitHistoryCommits', 5),
+      patch_count: config.get('gitHistoryPatches', 1),
+      blame,
+      is_cancelled: () => token.isCancellationRequested,
+      on_progress: (count) => {
+        if (count % 20 === 0) progress.report({ message: `${count} of ${total} files` });
+      },
+    }));
+    if (!result) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+
+    await deliver_bundle(result.bundle, {
+      summary: 'Files with git history',
+      source: selected_paths.map((item_path) => vscode.workspace.asRelativePath(item_path)).join(', '),
+      count: `${selection.text_files.length} files`,
+      details: [...notes, ...result.details],
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy git history: " + error.message);
+  }
+}
+
+/**
+ * Pick the git repository to copy changes from. Repositories known to the built-in
+ * Git extension are used when it is available, otherwise the repositories containing
+ * the workspace folders. Prompts when there is more than one.
+ * @returns {Promise<string|undefined>}
+ */
+async function resolve_git_repo() {
+  const roots = new Set();
+  const git_extension = vscode.extensions.getExtension('vscode.git');
+  if (git_extension) {
+    try {
+      const git_api = (git_extension.isActive ? git_extension.exports : await git_extension.activate()).getAPI(1);
+      for (const repository of git_api.repositories) roots.add(repository.rootUri.fsPath);
+    } catch (error) {
+      // Fall back to asking git directly below.
+    }
+  }
+  if (roots.size === 0) {
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const root = await get_repo_root(folder.uri.fsPath);
+      if (root) roots.add(root);
+    }
+  }
+
+  const candidates = [...roots];
+  if (candidates.length === 0) {
+    vscode.window.showErrorMessage("No git repository found in the workspace.");
+    return undefined;
+  }
+  if (candidates.length === 1) return candidates[0];
+
+  const active_file = vscode.window.activeTextEditor?.document.uri.fsPath;
+  const picked = await vscode.window.showQuickPick(
+    candidates.map((root) => ({
+      label: path.basename(root),
+      description: root,
+      picked: Boolean(active_file && active_file.startsWith(root + path.sep)),
+    })),
+    { placeHolder: 'Select the git repository to copy changes from' }
+  );
+  return picked?.description;
+}
+
+const PROPOSED_SCHEME = 'smart-context-proposed';
+const proposed_contents = new Map();
+
+/**
+ * Shows proposed file contents in the apply-response diff previews.
+ * @type {vscode.TextDocumentContentProvider}
+ */
+const proposed_content_provider = {
+  provideTextDocumentContent: (uri) => proposed_contents.get(uri.toString()) ?? '',
+};
+
+/**
+ * Apply the files in a model's response (from the clipboard or the active editor) to the
+ * workspace. Each file is previewed in a diff editor and accepted or rejected on its own.
+ * Accepted files are applied together with one `WorkspaceEdit`, so they stay unsaved and
+ * can be undone.
+ */
+async function apply_response() {
+  const text = await read_response_text();
+  if (text === null) return;
+
+  const parsed = parse_response(text);
+  if (parsed.length === 0) {
+    vscode.window.showErrorMessage("No files found. Expected `/path` lines followed by fenced code blocks, or unified diffs.");
+    return;
+  }
+
+  const roots = (vscode.workspace.workspaceFolders || []).map((folder) => ({ name: folder.name, path: folder.uri.fsPath }));
+  const changes = new Map();
+  const problems = [];
+  for (const file of parsed) {
+    try {
+      const change = await prepare_response_change(file, roots, changes);
+      changes.set(change.uri.toString(), change);
+    } catch (error) {
+      problems.push(`${file.path}: ${error.message}`);
+    }
+  }
+  const pending = [];
+  for (const change of changes.values()) {
+    if (change.exists && change.proposed === change.current) problems.push(`${change.relative}: already up to date`);
+    else pending.push(change);
+  }
+  if (pending.length === 0) {
+    vscode.window.showErrorMessage(["Nothing to apply.", ...problems].join('\n'));
+    return;
+  }
+
+  const accepted = [];
+  let cancelled = false;
+  let accept_rest = false;
+  try {
+    for (const [index, change] of pending.entries()) {
+      // Files whose path was resolved elsewhere are always confirmed one by one.
+      if (accept_rest && !change.create_instead) {
+        accepted.push(change);
+        continue;
+      }
+      const action = change.proposed === null ? 'Delete' : change.exists ? 'Apply changes to' : 'Create';
+      const key = `${Date.now()}-${index}`;
+      const right = vscode.Uri.from({ scheme: PROPOSED_SCHEME, path: '/' + change.relative, query: key });
+      const left = change.exists ? change.uri : vscode.Uri.from({ scheme: PROPOSED_SCHEME, path: '/' + change.relative, query: `${key}-empty` });
+      proposed_contents.set(right.toString(), change.proposed ?? '');
+      await vscode.commands.executeCommand('vscode.diff', left, right, `${change.relative} (proposed)`, { preview: true });
+
+      const position = `(${index + 1} of ${pending.length})`;
+      const create_label = change.create_instead ? `Create ${change.create_instead.relative}` : null;
+      const choice = create_label
+        ? await vscode.window.showInformationMessage(
+          `${change.create_instead.relative} does not exist. Apply it to ${change.relative} instead? ${position}`,
+          'Accept', create_label, 'Reject', 'Cancel'
+        )
+        : await vscode.window.showInformationMessage(`${action} ${change.relative}? ${position}`, 'Accept', 'Reject', 'Accept All', 'Cancel');
+      if (!choice || choice === 'Cancel') {
+        cancelled = true;
+        break;
+      }
+      if (choice === 'Accept All') accept_rest = true;
+      if (choice === 'Accept' || choice === 'Accept All') accepted.push(change);
+      if (choice === create_label) accepted.push(change.create_instead);
+    }
+  } finally {
+    const preview_tabs = vscode.window.tabGroups.all
+      .flatMap((group) => group.tabs)
+      .filter((tab) => tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.scheme === PROPOSED_SCHEME);
+    await vscode.window.tabGroups.close(preview_tabs);
+    proposed_contents.clear();
+  }
+
+  if (cancelled || accepted.length === 0) {
+    vscode.window.showInformationMessage(cancelled ? "Apply cancelled; no files were changed." : "No files were accepted.");
+    return;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  for (const change of accepted) {
+    if (change.proposed === null) {
+      edit.deleteFile(change.uri, { ignoreIfNotExists: true });
+    } else if (!change.exists) {
+      edit.createFile(change.uri, { ignoreIfExists: false });
+      edit.insert(change.uri, new vscode.Position(0, 0), change.proposed);
+    } else {
+      const document = await vscode.workspace.openTextDocument(change.uri);
+      edit.replace(change.uri, new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)), change.proposed);
+    }
+  }
+  if (!await vscode.workspace.applyEdit(edit)) {
+    vscode.window.showErrorMessage("The changes could not be applied.");
+    return;
+  }
+
+  const rejected = pending.length - accepted.length;
+  vscode.window.showInformationMessage([
+    `Applied ${accepted.length} file(s): ${accepted.map((change) => change.relative).join(', ')}. Review and save them when ready.`,
+    rejected ? `Rejected ${rejected} file(s).` : '',
+    problems.length ? `Not applied:\n${problems.join('\n')}` : '',
+  ].filter(Boolean).join('\n'));
+}
+
+/**
+ * Ask where the response is, and read it.
+ * @returns {Promise<string|null>} `null` when the user backs out or there is nothing to read.
+ */
+async function read_response_text() {
+  const editor = vscode.window.activeTextEditor;
+  let source = 'clipboard';
+  if (editor && editor.document.getText().trim()) {
+    const picked = await vscode.window.showQuickPick([
+      { label: 'Clipboard', source: 'clipboard' },
+      {
+        label: editor.selection.isEmpty ? 'Active editor' : 'Selection in the active editor',
+        description: vscode.workspace.asRelativePath(editor.document.uri),
+        source: 'editor',
+      },
+    ], { placeHolder: 'Read the response from' });
+    if (!picked) return null;
+    source = picked.source;
+  }
+
+  const text = source === 'clipboard'
+    ? await vscode.env.clipboard.readText()
+    : editor.document.getText(editor.selection.isEmpty ? undefined : editor.selection);
+  if (!text.trim()) {
+    vscode.window.showErrorMessage(source === 'clipboard' ? "The clipboard is empty." : "The editor is empty.");
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Work out the target file and proposed content for one file of a response.
+ *
+ * Bundles copied from a subfolder use paths relative to that folder, so a path that does not
+ * exist is looked up anywhere in its workspace folder. A diff goes to a unique match. Full content
+ * could just as well be a new file, so it goes to the match only when the user confirms it in the
+ * preview; `create_instead` is the change that creates the file at the path as written.
+ * @param {import('./parse_response.mjs').ResponseFile} file
+ * @param {Array<{name: string, path: string}>} roots
+ * @param {Map<string, Object>} earlier Changes already prepared, so a file that appears twice
+ *   builds on its earlier proposal.
+ * @returns {Promise<{uri: vscode.Uri, relative: string, exists: boolean, current: string, proposed: string|null, create_instead?: Object}>}
+ * @throws {Error} When the path is refused, the file is missing, or a diff does not apply.
+ */
+async function prepare_response_change(file, roots, earlier) {
+  const target = resolve_target_path(file.path, roots);
+  if (target.error) throw new Error(`refused, ${target.error}`);
+  const target_uri = vscode.Uri.file(target.full_path);
+  if (fs.existsSync(target.full_path) || file.is_new) {
+    return build_response_change(file, target_uri, fs.existsSync(target.full_path), earlier);
+  }
+
+  const relative = file.path.replace(/\\/g, '/').replace(/^\/+/, '');
+  const matches = await vscode.workspace.findFiles(new vscode.RelativePattern(target.root_path, `**/${relative}`), '**/node_modules/**', 2);
+  if (matches.length !== 1) {
+    if (file.kind === 'diff') throw new Error('file not found, so the diff cannot be applied');
+    return build_response_change(file, target_uri, false, earlier);
+  }
+  const change = await build_response_change(file, matches[0], true, earlier);
+  if (file.kind === 'diff') return change;
+  return { ...change, create_instead: await build_response_change(file, target_uri, false, earlier) };
+}
+
+async function build_response_change(file, uri, exists, earlier) {
+  const previous = earlier.get(uri.toString());
+  const current = previous ? previous.proposed ?? '' : exists ? (await vscode.workspace.openTextDocument(uri)).getText() : '';
+  let proposed;
+  if (file.is_deleted) {
+    proposed = null;
+  } else if (file.kind === 'diff') {
+    proposed = apply_hunks(current, file.hunks);
+  } else {
+    proposed = current.includes('\r\n') ? file.content.replace(/\r?\n/g, '\r\n') : file.content;
+  }
+  return {
+    uri,
+    relative: vscode.workspace.asRelativePath(uri),
+    exists,
+    current: previous ? previous.current : current,
+    proposed,
+  };
+}
+
+/**
+ * Copy files wrapped in a prompt template picked from `smartContext.promptTemplates` and the
+ * workspace's `.smart-context/templates/`. Fills it from the Explorer selection the command was
+ * invoked on, or else from the open files, the active file's folder, or files picked in a dialog.
+ * @param {vscode.Uri|undefined} uri
+ * @param {vscode.Uri[]|undefined} uris
+ */
+async function copy_with_template(uri, uris) {
+  const templates = get_prompt_templates();
+  if (templates.length === 0) {
+    vscode.window.showInformationMessage("No prompt templates found. Add them to smartContext.promptTemplates or as Markdown files in .smart-context/templates/.");
+    return;
+  }
+  const picked = await vscode.window.showQuickPick(templates.map((template) => ({
+    label: template.name,
+    description: template.source,
+    detail: template.description || template.body.split('\n').find((line) => line.trim()) || '',
+    template,
+  })), { placeHolder: 'Select a prompt template', matchOnDetail: true });
+  if (!picked) return;
+  const { template } = picked;
+
+  if (uri || uris?.length) {
+    await copy_folder_contents(uri, uris, false, template);
+    return;
+  }
+  const active_uri = vscode.window.activeTextEditor?.document.uri;
+  const sources = [
+    { label: 'Open files', description: 'every open tab', source: 'open_files' },
+    ...(active_uri?.scheme === 'file' ? [{
+      label: 'Folder of the active file',
+      description: vscode.workspace.asRelativePath(path.dirname(active_uri.fsPath)),
+      source: 'active_folder',
+    }] : []),
+    { label: 'Files and folders…', source: 'pick' },
+  ];
+  const source = await vscode.window.showQuickPick(sources, { placeHolder: `Fill "${template.name}" from` });
+  if (!source) return;
+
+  if (source.source === 'open_files') await copy_open_files(false, template);
+  else if (source.source === 'active_folder') await copy_folder_contents(vscode.Uri.file(path.dirname(active_uri.fsPath)), undefined, false, template);
+  else await copy_folder_contents(undefined, undefined, false, template);
+}
+
+/**
+ * Templates from settings and every workspace folder, warning about invalid ones.
+ * @returns {import('./prompt_templates.mjs').PromptTemplate[]}
+ */
+function get_prompt_templates() {
+  const { templates, errors } = load_templates(
+    (vscode.workspace.workspaceFolders || []).map((folder) => folder.uri.fsPath),
+    vscode.workspace.getConfiguration('smartContext').get('promptTemplates', []),
+    {
+      read_file: (file_path) => fs.readFileSync(file_path, 'utf8'),
+      exists: (file_path) => fs.existsSync(file_path),
+      list_dir: (dir_path) => fs.readdirSync(dir_path),
+    }
+  );
+  if (errors.length) {
+    vscode.window.showWarningMessage(`Ignoring invalid prompt templates: ${errors.join('; ')}`);
+  }
+  return templates;
+}
+
 /**
- * @param {vscode.ExtensionContext} context
+ * The template named by `smartContext.defaultTemplate`, used by folder and open-file copies in
+ * place of the built-in headings.
+ * @returns {import('./prompt_templates.mjs').PromptTemplate|null}
  */
-export function activate(context) {
-  console.log('Activating Smart Context extension');
-
-  let copy_folder_disposable = vscode.commands.registerCommand('smartContext.copyFolderContents', async (uri) => {
-    console.log("Command executed with URI:", uri);
-    await copy_folder_contents(uri, false);
-  });
+function get_default_template() {
+  const name = vscode.workspace.getConfiguration('smartContext').get('defaultTemplate', '');
+  if (!name) return null;
+  const template = get_prompt_templates().find((candidate) => candidate.name === name);
+  if (!template) {
+    vscode.window.showWarningMessage(`No prompt template named "${name}" (smartContext.defaultTemplate); using the built-in layout.`);
+  }
+  return template || null;
+}
 
-  let copy_open_files_disposable = vscode.commands.registerCommand('smartContext.copyOpenFilesContents', async () => {
-    console.log("Copying contents of all open files or diffs, based on tab labels");
-    await copy_open_files(false);
-  });
+function uses_placeholder(template, name) {
+  return Boolean(template) && get_used_placeholders(template.body).includes(name);
+}
 
-  // Minimized versions
-  let copy_folder_disposable_min = vscode.commands.registerCommand('smartContext.copyFolderContentsMin', async (uri) => {
-    console.log("Command executed with URI for minified version:", uri);
-    await copy_folder_contents(uri, true);
-  });
+/**
+ * Bundle fields that make `deliver_bundle` render through a template, with the values that do
+ * not come from the bundle itself. They are only computed when the template uses them.
+ * @param {import('./prompt_templates.mjs').PromptTemplate} template
+ * @param {string[]} file_paths Copied files, for `{{diff}}`.
+ * @returns {Promise<{template: string, template_values: {diff: string, selection: string}}>}
+ */
+async function get_template_fields(template, file_paths) {
+  return {
+    template: template.body,
+    template_values: {
+      diff: uses_placeholder(template, 'diff') ? await get_uncommitted_diff(file_paths) : '',
+      selection: uses_placeholder(template, 'selection') ? get_active_selection_text() : '',
+    },
+  };
+}
 
-  let copy_open_files_disposable_min = vscode.commands.registerCommand('smartContext.copyOpenFilesContentsMin', async () => {
-    console.log("Copying contents (minified) of all open files or diffs, based on tab labels");
-    await copy_open_files(true);
-  });
+/**
+ * Uncommitted changes (against HEAD) to the given files, across the repositories they are in.
+ * @param {string[]} file_paths
+ * @returns {Promise<string>} Empty when nothing changed or no file is in a git repository.
+ */
+async function get_uncommitted_diff(file_paths) {
+  const by_repo = new Map();
+  for (const file_path of file_paths) {
+    const repo_path = find_nearest_git_repo(file_path);
+    if (!repo_path) continue;
+    if (!by_repo.has(repo_path)) by_repo.set(repo_path, []);
+    by_repo.get(repo_path).push(path.relative(repo_path, file_path));
+  }
+  const diffs = [];
+  for (const [repo_path, relative_paths] of by_repo) {
+    // Batched to stay under command-line length limits.
+    for (let start = 0; start < relative_paths.length; start += 100) {
+      try {
+        diffs.push(await run_git(['diff', 'HEAD', '--', ...relative_paths.slice(start, start + 100)], repo_path));
+      } catch (error) {
+        // No commits yet, or git is unavailable: leave this repository out.
+      }
+    }
+  }
+  return diffs.join('').trimEnd();
+}
 
-  // Commands for stripping logic
-  let strip_logic_folder_disposable = vscode.commands.registerCommand('smartContext.stripLogicFromMethods', async (uri) => {
-    console.log("Stripping logic from folder methods with URI:", uri);
-    await strip_logic_from_folder_methods(uri);
-  });
+/**
+ * The active editor's selection with its path and line range, in the output format.
+ * @returns {string} Empty when nothing is selected.
+ */
+function get_active_selection_text() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.selection.isEmpty) return '';
+  const { document, selection } = editor;
+  return format_bundle({
+    format: get_output_format(),
+    files: [{
+      path: document.isUntitled ? '/' + document.uri.path : get_workspace_bundle_path(document.uri),
+      label: `Selection (${format_line_range(selection.start.line, selection.end.line)})`,
+      language: get_language_id(document.fileName) || document.languageId,
+      content: document.getText(selection),
+    }],
+  }).trimEnd();
+}
 
-  let strip_logic_open_files_disposable = vscode.commands.registerCommand('smartContext.stripLogicFromMethodsOpenFiles', async () => {
-    console.log("Stripping logic from methods in all open files");
-    await strip_logic_from_open_files();
-  });
+const SNAPSHOTS_KEY = 'smartContext.snapshots';
+const MAX_SNAPSHOTS = 20;
+let snapshot_storage = null;
 
-  context.subscriptions.push(copy_folder_disposable);
-  context.subscriptions.push(copy_open_files_disposable);
-  context.subscriptions.push(copy_folder_disposable_min);
-  context.subscriptions.push(copy_open_files_disposable_min);
-  context.subscriptions.push(strip_logic_folder_disposable);
-  context.subscriptions.push(strip_logic_open_files_disposable);
+/**
+ * Remember what a folder or preset copy sent: a hash of each delivered file, with its content
+ * kept for diffs. Replaces the previous snapshot of the same source. Only the most recent
+ * snapshots are kept.
+ * @param {{type: 'selection', paths: string[]}|{type: 'preset', root_path: string, name: string}} source
+ * @param {import('./context_core.mjs').Selection} selection
+ * @param {{files: Array<{path: string}>}} bundle The delivered bundle; files dropped by the
+ *   token budget are not recorded.
+ */
+async function save_copy_snapshot(source, selection, bundle) {
+  const delivered = new Set(bundle.files.map((file) => file.path));
+  const files = (await read_snapshot_files(selection.base_path, selection.text_files))
+    .filter((file) => delivered.has(file.path));
+  await store_snapshot(source, selection.base_path, files);
 }
 
-export function deactivate() {}
+async function store_snapshot(source, base_path, files) {
+  if (!snapshot_storage) return;
+  try {
+    await save_snapshot_blobs(snapshot_storage.blob_dir, files);
+    const snapshot = {
+      label: source.type === 'preset'
+        ? `Preset "${source.name}"`
+        : source.paths.map((item_path) => vscode.workspace.asRelativePath(item_path)).join(', '),
+      source,
+      base_path,
+      created_at: Date.now(),
+      files: Object.fromEntries(files.map((file) => [file.path, file.hash])),
+    };
+    const key = get_snapshot_key(source);
+    const snapshots = [snapshot, ...get_snapshots().filter((other) => get_snapshot_key(other.source) !== key)].slice(0, MAX_SNAPSHOTS);
+    await snapshot_storage.state.update(SNAPSHOTS_KEY, snapshots);
+    await prune_snapshot_blobs(snapshot_storage.blob_dir, snapshots);
+  } catch (error) {
+    // A missing snapshot only means the next incremental copy has nothing to compare to.
+  }
+}
 
 /**
- * Copy the contents of a folder to clipboard, optionally minifying the content.
- * @param {vscode.Uri|undefined} uri
- * @param {boolean} minify
+ * @returns {import('./copy_snapshots.mjs').Snapshot[]} Most recent first.
  */
-async function copy_folder_contents(uri, minify) {
-  if (!uri || !uri.fsPath) {
-    uri = await vscode.window.showOpenDialog({
-      canSelectFiles: false,
-      canSelectFolders: true,
-      canSelectMany: false,
-      openLabel: 'Select Folder'
-    });
-    if (!uri || uri.length === 0) {
-      vscode.window.showErrorMessage("No folder selected.");
-      return;
-    }
-    uri = uri[0];
-  }
+function get_snapshots() {
+  return snapshot_storage?.state.get(SNAPSHOTS_KEY, []) || [];
+}
 
-  const folder_path = uri.fsPath;
+function get_snapshot_key(source) {
+  return source.type === 'preset'
+    ? `preset:${source.root_path}:${source.name}`
+    : `selection:${[...source.paths].sort().join('\n')}`;
+}
 
-  if (!fs.existsSync(folder_path) || !fs.lstatSync(folder_path).isDirectory()) {
-    vscode.window.showErrorMessage("Please select a valid folder.");
+/**
+ * Copy only the files added, modified or deleted since the last copy of a folder selection or
+ * preset. Modified files are copied as diffs against that copy or in full, per
+ * `smartContext.incrementalCopyFormat`; deleted files are listed in the summary. The copy
+ * becomes the new snapshot for the next one.
+ */
+async function copy_changes_since_last_copy() {
+  const snapshots = get_snapshots();
+  if (snapshots.length === 0) {
+    vscode.window.showInformationMessage("Nothing has been copied yet. Copy a folder or preset first, then use this command to copy only what changed.");
     return;
   }
+  const picked = snapshots.length === 1 ? { snapshot: snapshots[0] } : await vscode.window.showQuickPick(
+    snapshots.map((snapshot) => ({
+      label: snapshot.label,
+      description: `copied ${new Date(snapshot.created_at).toLocaleString()}`,
+      detail: `${Object.keys(snapshot.files).length} files`,
+      snapshot,
+    })),
+    { placeHolder: 'Select the copy to compare against' }
+  );
+  if (!picked) return;
+  const { snapshot } = picked;
 
   try {
-    // Gather all ignore patterns from this folder up to the root
-    const ignore_patterns = load_ignore_patterns(folder_path);
-
-    console.log(`Starting to gather text files from: ${folder_path}`);
-    const text_files = get_all_text_files(folder_path, folder_path, ignore_patterns);
-    console.log(`Found ${text_files.length} text files`);
+    const selection = await with_walk_progress((walk_opts) => collect_snapshot_source(snapshot.source, walk_opts));
+    if (selection === undefined) return;
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
 
-    if (text_files.length === 0) {
-      vscode.window.showInformationMessage("No text files found in the selected folder and its subfolders.");
+    const current = await read_snapshot_files(snapshot.base_path, selection.text_files);
+    const { added, modified, deleted, unchanged } = compare_to_snapshot(snapshot.files, current);
+    if (added.length + modified.length + deleted.length === 0) {
+      vscode.window.showInformationMessage(`No changes since the last copy of ${snapshot.label}.`);
       return;
     }
 
-    const folder_structure = generate_folder_structure(folder_path, '', folder_path, ignore_patterns);
-    const folder_name = path.basename(folder_path);
-    let content_to_copy = `${folder_name} Folder Structure:\n${folder_structure}\n`;
-    content_to_copy += minify ? 'File Contents (Minified):\n' : 'File Contents:\n';
+    const as_diff = vscode.workspace.getConfiguration('smartContext').get('incrementalCopyFormat', 'diff') === 'diff';
+    const files = added.map((file) => ({ path: file.path, label: 'Added', content: file.content, mtime_ms: fs.statSync(file.full_path).mtimeMs }));
+    for (const file of modified) {
+      const previous = as_diff ? await read_snapshot_blob(snapshot_storage.blob_dir, snapshot.files[file.path]) : null;
+      files.push(previous === null
+        ? { path: file.path, label: 'Modified', content: file.content, mtime_ms: fs.statSync(file.full_path).mtimeMs }
+        : {
+          path: file.path,
+          label: 'Diff Since Last Copy',
+          language: 'diff',
+          content: create_unified_diff(previous, file.content, { old_path: `a${file.path}`, new_path: `b${file.path}` }),
+          mtime_ms: fs.statSync(file.full_path).mtimeMs,
+        });
+    }
+
+    const summary = [
+      `Since ${new Date(snapshot.created_at).toLocaleString()}: ${added.length} added, ${modified.length} modified, ${deleted.length} deleted, ${unchanged} unchanged.`,
+      ...deleted.map((file_path) => `Deleted: ${file_path}`),
+    ].join('\n');
+    const bundle = {
+      format: get_output_format(),
+      title: 'Changed Files',
+      tree: { name: snapshot.label, heading: 'Changes Since Last Copy', structure: summary },
+    };
+    const { budget, strategy } = get_token_budget_settings();
+    const budget_result = apply_token_budget(files, {
+      budget,
+      strategy,
+      reserved_tokens: estimate_tokens(format_bundle({ ...bundle, files: [] })),
+    });
+
+    const delivered = await deliver_bundle({ ...bundle, files: budget_result.files }, {
+      summary: `Changes since the last copy of ${snapshot.label}`,
+      count: `${added.length + modified.length + deleted.length} files`,
+      details: [describe_budget_result(budget_result, budget)],
+    });
+    if (!delivered) return;
+    // Modified files the token budget left out keep their previous content, so the next copy
+    // still sends them as modified.
+    const sent = new Set(budget_result.files.map((file) => file.path));
+    const next_files = [];
+    for (const file of current) {
+      const previous_hash = snapshot.files[file.path];
+      if (sent.has(file.path) || previous_hash === file.hash) {
+        next_files.push(file);
+      } else if (previous_hash !== undefined) {
+        const previous = await read_snapshot_blob(snapshot_storage.blob_dir, previous_hash);
+        if (previous !== null) next_files.push({ ...file, content: previous, hash: previous_hash });
+      }
+    }
+    await store_snapshot(snapshot.source, snapshot.base_path, next_files);
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to copy changes since the last copy: " + error.message);
+  }
+}
 
-    for (const file_path of text_files) {
-      const file_content = fs.readFileSync(file_path, 'utf8');
-      const relative_file_path = path.relative(folder_path, file_path);
-      let final_content = minify ? minify_content(file_content) : file_content;
-      content_to_copy += `----------------------\n/${relative_file_path.replace(/\\/g, '/')}\n-----------------------\n${final_content}\n-----------------------\n\n`;
+/**
+ * Collect the files of a snapshot's folder selection or preset again.
+ * @returns {Promise<import('./context_core.mjs').Selection|null|undefined>} `null` when the walk
+ *   was cancelled, `undefined` after reporting that the source is gone.
+ */
+async function collect_snapshot_source(source, walk_opts) {
+  const settings = get_core_settings();
+  if (source.type === 'selection') {
+    const paths = source.paths.filter((item_path) => fs.existsSync(item_path));
+    if (paths.length === 0) {
+      vscode.window.showErrorMessage("The copied files and folders no longer exist.");
+      return undefined;
     }
+    return collect_selection(paths, settings, ignore_utils, walk_opts);
+  }
+  const { presets } = load_presets(source.root_path, {
+    read_file: (file_path) => fs.readFileSync(file_path, 'utf8'),
+    exists: (file_path) => fs.existsSync(file_path),
+  });
+  const preset = presets.find((candidate) => candidate.name === source.name);
+  if (!preset) {
+    vscode.window.showErrorMessage(`Preset "${source.name}" no longer exists.`);
+    return undefined;
+  }
+  return collect_matching_files(source.root_path, create_preset_matcher(preset), settings, ignore_utils, walk_opts);
+}
+
+const HISTORY_KEY = 'smartContext.history';
+let history_storage = null;
+let history_provider = null;
+
+function is_history_enabled() {
+  return vscode.workspace.getConfiguration('smartContext').get('historyEnabled', true);
+}
+
+function get_history_max_entries() {
+  return vscode.workspace.getConfiguration('smartContext').get('historyMaxEntries', 50);
+}
+
+/**
+ * @returns {import('./bundle_history.mjs').HistoryEntry[]} Most recent first.
+ */
+function get_history_entries() {
+  return history_storage?.state.get(HISTORY_KEY, []) || [];
+}
+
+async function update_history_entries(entries) {
+  await history_storage.state.update(HISTORY_KEY, entries);
+  history_provider?.refresh();
+}
 
-    await vscode.env.clipboard.writeText(content_to_copy);
-    vscode.window.showInformationMessage(`Folder contents ${minify ? "(minified) " : ""}copied to clipboard! (${text_files.length} files)`);
+/**
+ * Add a delivered bundle to the history, unless `smartContext.historyEnabled` is off.
+ * @param {Object} bundle
+ * @param {string[]} contents The rendered parts, after secret redaction.
+ * @param {{command: string, source?: string}} report
+ */
+async function record_history(bundle, contents, report) {
+  if (!history_storage || !is_history_enabled()) return;
+  try {
+    const entry = create_history_entry(bundle, contents, report);
+    await update_history_entries(await add_history_entry(history_storage.dir, get_history_entries(), entry, contents, get_history_max_entries()));
   } catch (error) {
-    vscode.window.showErrorMessage("Failed to copy folder contents: " + error.message);
+    // The bundle was still delivered; only its history entry is missing.
   }
 }
 
 /**
- * Copy contents of all currently visible text editors to clipboard (optionally minified).
- * We use the actual tab label to decide if it's a normal file vs. a "(Working Tree)" or "(Index)".
- * @param {boolean} minify
+ * Drop the oldest entries past `smartContext.historyMaxEntries`.
  */
-async function copy_open_files(minify) {
-  const editors = vscode.window.visibleTextEditors;
-  if (editors.length === 0) {
-    vscode.window.showInformationMessage("No open files to copy.");
-    return;
+async function trim_history() {
+  const entries = get_history_entries();
+  const max_entries = Math.max(1, get_history_max_entries());
+  if (!history_storage || entries.length <= max_entries) return;
+  try {
+    const removed = entries.slice(max_entries).map((entry) => entry.id);
+    await update_history_entries(await remove_history_entries(history_storage.dir, entries, removed));
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to trim bundle history: " + error.message);
   }
+}
 
-  let content_to_copy = minify ? "Open Files Contents (Minified):\n" : "Open Files Contents:\n";
-  const tabs = [];
+/**
+ * When recording is turned off, offer to delete the bundles already stored, since they hold
+ * full file contents.
+ */
+async function on_history_setting_changed() {
+  history_provider?.refresh();
+  const entries = get_history_entries();
+  if (is_history_enabled() || entries.length === 0) return;
+  const choice = await vscode.window.showInformationMessage(
+    `Bundle history is turned off. Delete the ${entries.length} bundles already stored?`,
+    'Delete', 'Keep'
+  );
+  if (choice === 'Delete') await delete_history_entries(entries);
+}
 
-  for (const editor of editors) {
-    const tab_label = get_tab_label_for_editor(editor) || path.basename(editor.document.fileName);
-    const tab_uri = editor.document.uri.toString();
-    const file_path = JSON.parse(decodeURIComponent(tab_uri.split('?')?.[1] || '{}'))?.path || '';
-
-    if (tabs.includes(tab_label)) {
-      continue; // Skip duplicates
-    }
-    tabs.push(tab_label);
-    // Check the tab label for suffixes
-    const is_working_tree = tab_label.endsWith('(Working Tree)');
-    const is_index = tab_label.endsWith('(Index)');
-
-    if (!is_working_tree && !is_index) {
-      // Normal file
-      const file_content = editor.document.getText();
-      let final_content = minify ? minify_content(file_content) : file_content;
-      const relative_file_path = vscode.workspace.asRelativePath(editor.document.fileName);
-      let codeblock_name = get_codeblock_name(editor);
-
-      content_to_copy += `----------------------\n/${relative_file_path.replace(/\\/g, '/')}\n-----------------------\n\`\`\`${codeblock_name}\n${final_content}\n\`\`\`\n\n`;
-    } else {
-      // Diff-like tab
-      // The tab label might be something like "myfile.js (Working Tree)" or "myfile.js (Index)"
-      // Let's parse out the real filename if possible.
-      // const raw_label = tab_label.replace(' (Working Tree)', '').replace(' (Index)', '').trim();
-      // If we can locate the real path in workspace, do so:
-      // let real_file_path = get_file_path_from_workspace(raw_label);
-      // // if (!real_file_path) {
-      // //   // fallback: just do the label as-is
-      // //   real_file_path = raw_label;
-      // }
-
-      // Working Tree => `git diff`
-      // Index => `git diff --cached`
-      let diff_text = is_working_tree
-        ? get_git_diff_for_file(file_path, false)
-        : get_git_diff_for_file(file_path, true);
-
-      let suffix_msg = '';
-      let codeblock_name = '';
-      if(diff_text===""){
-        // use the file contents instead
-        const file_content = editor.document.getText();
-        diff_text = minify ? minify_content(file_content) : file_content;
-        suffix_msg = 'File Contents';
-        codeblock_name = get_codeblock_name(editor);
-      } else {
-        codeblock_name = 'diff';
-        suffix_msg = is_working_tree ? 'Working Tree Diff' : 'Staged Diff';
-      }
-      content_to_copy += `----------------------\n${tab_label}\n-----------------------\n${suffix_msg}:\n\`\`\`${codeblock_name}\n${diff_text}\n\`\`\`\n\n`;
-    }
+/**
+ * Shows stored bundles as read-only documents. All parts are joined into one document.
+ * @type {vscode.TextDocumentContentProvider}
+ */
+const history_content_provider = {
+  provideTextDocumentContent: async (uri) => {
+    const contents = history_storage ? await read_history_contents(history_storage.dir, uri.query) : null;
+    return contents ? contents.join('\n') : 'This bundle is no longer in the history.';
+  },
+};
+
+/**
+ * @param {import('./bundle_history.mjs').HistoryEntry} entry
+ * @returns {Promise<string[]|null>} The entry's parts, or null after reporting that they are gone.
+ */
+async function read_history_entry(entry) {
+  const contents = await read_history_contents(history_storage.dir, entry.id);
+  if (!contents) vscode.window.showErrorMessage(`The stored bundle for "${entry.command}" is missing.`);
+  return contents;
+}
+
+/**
+ * Open a stored bundle as a read-only document.
+ * @param {import('./bundle_history.mjs').HistoryEntry} entry
+ */
+async function open_history_entry(entry) {
+  if (!entry) return;
+  try {
+    const document = await vscode.workspace.openTextDocument(get_history_uri(entry));
+    await vscode.window.showTextDocument(document, { preview: true });
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to open bundle: " + error.message);
   }
+}
 
-  await vscode.env.clipboard.writeText(content_to_copy);
-  vscode.window.showInformationMessage([
-    `Contents of all open files or diffs ${minify ? "(minified) " : ""}copied to clipboard! (${editors.length} tabs)\n`,
-    `Tabs: ${tabs.join(', ')}`
-  ].join('\n'));
+/**
+ * Copy a stored bundle to the clipboard again, part by part when it was split.
+ * @param {import('./bundle_history.mjs').HistoryEntry} entry
+ */
+async function recopy_history_entry(entry) {
+  if (!entry) return;
+  const contents = await read_history_entry(entry);
+  if (!contents) return;
+  await copy_chunks_to_clipboard(contents, [`${entry.command} from ${new Date(entry.created_at).toLocaleString()} copied to clipboard!`]);
 }
 
-function get_codeblock_name(editor) {
-  let codeblock_name = path.extname(editor.document.fileName).slice(1);
-  if (['mjs', 'cjs'].includes(codeblock_name)) {
-    codeblock_name = 'js';
+/**
+ * Compare two stored bundles in a diff editor, older on the left. Uses the two selected
+ * entries, or asks for the second one.
+ * @param {import('./bundle_history.mjs').HistoryEntry} entry
+ * @param {import('./bundle_history.mjs').HistoryEntry[]|undefined} selected
+ */
+async function compare_history_entries(entry, selected) {
+  if (!entry) return;
+  let pair = selected?.length === 2 ? selected : null;
+  if (!pair) {
+    const others = get_history_entries().filter((other) => other.id !== entry.id);
+    if (others.length === 0) {
+      vscode.window.showInformationMessage("The history has no other bundle to compare with.");
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(
+      others.map((other) => ({
+        label: other.command,
+        description: new Date(other.created_at).toLocaleString(),
+        detail: other.source,
+        entry: other,
+      })),
+      { placeHolder: `Compare "${entry.command}" with` }
+    );
+    if (!picked) return;
+    pair = [entry, picked.entry];
   }
-  return codeblock_name;
+  const [older, newer] = [...pair].sort((left, right) => left.created_at - right.created_at);
+  const describe = (item) => `${item.command} (${new Date(item.created_at).toLocaleString()})`;
+  await vscode.commands.executeCommand('vscode.diff', get_history_uri(older), get_history_uri(newer), `${describe(older)} ↔ ${describe(newer)}`);
 }
 
 /**
- * Returns the tab label from the Tab API if we can find a matching tab
- * for the given editor's document URI. If no tab is found, returns undefined.
- * @param {vscode.TextEditor} editor
- * @returns {string | undefined}
+ * @param {import('./bundle_history.mjs').HistoryEntry[]} entries
  */
-function get_tab_label_for_editor(editor) {
-  const editor_uri_str = editor.document.uri.toString();
-  for (const group of vscode.window.tabGroups.all) {
-    for (const tab of group.tabs) {
-      if (!tab.input) continue;
+async function delete_history_entries(entries) {
+  const ids = entries.filter(Boolean).map((entry) => entry.id);
+  if (!history_storage || ids.length === 0) return;
+  try {
+    await update_history_entries(await remove_history_entries(history_storage.dir, get_history_entries(), ids));
+  } catch (error) {
+    vscode.window.showErrorMessage("Failed to delete bundle history: " + error.message);
+  }
+}
 
-      // For a standard text file
-      if (tab.input.uri && tab.input.uri.toString() === editor_uri_str) {
-        return tab.label;
-      }
+async function clear_history() {
+  const entries = get_history_entries();
+  if (entries.length === 0) return;
+  const choice = await vscode.window.showWarningMessage(
+    `Delete all ${entries.length} bundles from the Smart Context history?`,
+    { modal: true },
+    'Delete'
+  );
+  if (choice === 'Delete') await delete_history_entries(entries);
+}
 
-      // For a text diff input: check original/modified URIs
-      if (tab.input.modified && tab.input.modified.toString() === editor_uri_str) {
-        return tab.label;
-      }
-      if (tab.input.original && tab.input.original.toString() === editor_uri_str) {
-        return tab.label;
-      }
+const EXPORT_DIRECTORY = path.join('.smart-context', 'exports');
+const EXPORT_EXTENSIONS = { markdown: 'md', xml: 'xml', json: 'json' };
+
+/**
+ * Deliver a finished bundle to the configured output target and report where it went.
+ * Every command goes through here so secrets are redacted before anything leaves the editor.
+ * - `smartContext.outputTarget`: `clipboard`, `file` (save dialog) or `folder` (`.smart-context/exports/`).
+ * - `smartContext.chunkSize`: bundles over the limit are split into numbered parts.
+ * @param {Object} bundle Same shape as the `format_bundle` argument.
+ * @param {Object} report
+ * @param {string} report.summary What was delivered, e.g. `Folder contents (minified)`.
+ * @param {string} [report.source] What it was built from, for the bundle history; defaults to
+ *   the name at the top of the bundle's tree.
+ * @param {string} report.count e.g. `12 files`.
+ * @param {string[]} [report.details] Extra notification lines; empty ones are skipped.
+ * @returns {Promise<boolean>} False when an export was cancelled.
+ */
+async function deliver_bundle(bundle, { summary, source = bundle.tree?.name, count, details = [] }) {
+  const { contents, notes: render_notes, errors } = render_bundle(bundle, get_core_settings());
+  if (errors.length) {
+    vscode.window.showWarningMessage(`Ignoring invalid smartContext.customSecretPatterns: ${errors.join('; ')}`);
+  }
+  const notes = [...details, ...render_notes];
+
+  const target = vscode.workspace.getConfiguration('smartContext').get('outputTarget', 'clipboard');
+  if (target === 'clipboard') {
+    await record_history(bundle, contents, { command: summary, source });
+    await copy_chunks_to_clipboard(contents, [`${summary} copied to clipboard! (${count})`, ...notes]);
+    return true;
+  }
+
+  const file_paths = await export_chunks(contents, bundle, target);
+  if (!file_paths) return false;
+  await record_history(bundle, contents, { command: summary, source });
+  const more_parts = file_paths.length > 1 ? ` and ${file_paths.length - 1} more part(s)` : '';
+  const action = await vscode.window.showInformationMessage([
+    `${summary} exported to ${vscode.workspace.asRelativePath(file_paths[0])}${more_parts}! (${count})`,
+    ...notes
+  ].filter(Boolean).join('\n'), 'Open');
+  if (action === 'Open') {
+    await vscode.window.showTextDocument(vscode.Uri.file(file_paths[0]));
+  }
+  return true;
+}
+
+/**
+ * Copy the first part to the clipboard, then offer each following part from the notification.
+ * @param {string[]} contents
+ * @param {string[]} message_lines Shown with the first part; empty lines are skipped.
+ */
+async function copy_chunks_to_clipboard(contents, message_lines) {
+  await vscode.env.clipboard.writeText(contents[0]);
+  const total = contents.length;
+  let message = message_lines.filter(Boolean).join('\n');
+  if (total > 1) message = `Split into ${total} parts; part 1 of ${total} is on the clipboard.\n` + message;
+
+  for (let index = 1; index < total; index++) {
+    const next_label = `Copy part ${index + 1} of ${total}`;
+    const action = await vscode.window.showInformationMessage(message, next_label);
+    if (action !== next_label) return;
+    await vscode.env.clipboard.writeText(contents[index]);
+    message = `Part ${index + 1} of ${total} copied to clipboard!`;
+  }
+  vscode.window.showInformationMessage(message);
+}
+
+/**
+ * Write a bundle to disk, one file per part.
+ * @param {string[]} contents
+ * @param {{format?: string, title?: string}} bundle
+ * @param {'file'|'folder'} target `file` asks for a path; `folder` writes to `.smart-context/exports/`.
+ * @returns {Promise<string[]|undefined>} The written paths, or undefined when cancelled.
+ */
+async function export_chunks(contents, bundle, target) {
+  const workspace_root = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+  const slug = (bundle.title || 'bundle').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const file_name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.${EXPORT_EXTENSIONS[bundle.format] || 'md'}`;
+
+  let file_path;
+  if (target === 'folder') {
+    if (!workspace_root) {
+      vscode.window.showErrorMessage("Open a workspace folder to export bundles to .smart-context/exports.");
+      return undefined;
     }
+    const export_dir = path.join(workspace_root, EXPORT_DIRECTORY);
+    await fs.promises.mkdir(export_dir, { recursive: true });
+    // Keep exports out of git and out of later folder copies that respect .gitignore.
+    const gitignore_path = path.join(export_dir, '.gitignore');
+    if (!fs.existsSync(gitignore_path)) await fs.promises.writeFile(gitignore_path, '*\n', 'utf8');
+    file_path = path.join(export_dir, file_name);
+  } else {
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: workspace_root ? vscode.Uri.file(path.join(workspace_root, EXPORT_DIRECTORY, file_name)) : undefined,
+      saveLabel: 'Export',
+    });
+    if (!uri) return undefined;
+    file_path = uri.fsPath;
+    await fs.promises.mkdir(path.dirname(file_path), { recursive: true });
   }
-  return undefined;
+
+  const file_paths = get_part_file_paths(file_path, contents.length);
+  for (let index = 0; index < contents.length; index++) {
+    await fs.promises.writeFile(file_paths[index], contents[index], 'utf8');
+  }
+  return file_paths;
+}
+
+/**
+ * Read the token budget settings used to trim copied bundles.
+ * @returns {{budget: number, strategy: string}}
+ */
+function get_token_budget_settings() {
+  const config = vscode.workspace.getConfiguration('smartContext');
+  return {
+    budget: config.get('tokenBudget', 0),
+    strategy: config.get('tokenBudgetStrategy', 'drop_largest'),
+  };
+}
+
+/**
+ * What the strip-logic commands do with files no skeleton extractor supports.
+ * @returns {'full'|'skip'|'outline'}
+ */
+function get_strip_logic_unsupported_setting() {
+  return vscode.workspace.getConfiguration('smartContext').get('stripLogicUnsupportedFiles', 'full');
+}
+
+/**
+ * Whether folder and open-file copies attach each file's diagnostics.
+ * @returns {boolean}
+ */
+function get_include_diagnostics_setting() {
+  return vscode.workspace.getConfiguration('smartContext').get('includeDiagnostics', false);
+}
+
+/**
+ * Read the output format used to serialize copied bundles.
+ * @returns {string} One of `markdown`, `xml` or `json`.
+ */
+function get_output_format() {
+  return vscode.workspace.getConfiguration('smartContext').get('outputFormat', 'markdown');
+}
+
+/**
+ * Settings for the bundle-building core, read from the `smartContext` configuration.
+ * @returns {import('./context_core.mjs').CoreSettings}
+ */
+function get_core_settings() {
+  const config = vscode.workspace.getConfiguration('smartContext');
+  const { budget, strategy } = get_token_budget_settings();
+  return {
+    format: get_output_format(),
+    token_budget: budget,
+    token_budget_strategy: strategy,
+    exclude: config.get('exclude', []),
+    force_include: config.get('forceInclude', []),
+    skip_lockfiles: config.get('skipLockfiles', true),
+    skip_generated: config.get('skipGeneratedFiles', true),
+    include_dotfiles: config.get('includeDotfiles', true),
+    limits: {
+      max_files: config.get('maxFiles', 5000),
+      max_file_size: config.get('maxFileSizeKb', 1024) * 1024,
+      max_total_size: config.get('maxTotalSizeMb', 20) * 1024 * 1024,
+    },
+    strip_logic_unsupported: get_strip_logic_unsupported_setting(),
+    redact_secrets: config.get('redactSecrets', true),
+    custom_secret_patterns: config.get('customSecretPatterns', []),
+    chunk_size: config.get('chunkSize', 0),
+    chunk_size_unit: config.get('chunkSizeUnit', 'tokens'),
+  };
 }
 
 /**
@@ -318,11 +1994,8 @@ function get_git_diff_for_file(file_path, staged_only) {
   }
 
   try {
-    const command = staged_only
-      ? `git diff --cached -- "${file_path}"`
-      : `git diff -- "${file_path}"`;
-    const diff = execSync(command, { encoding: 'utf8', cwd: git_repo_path });
-    return diff;
+    const args = staged_only ? ['diff', '--cached', '--', file_path] : ['diff', '--', file_path];
+    return execFileSync('git', args, { encoding: 'utf8', cwd: git_repo_path });
   } catch (err) {
     // If Git fails or file is not in a Git repo, we return empty
     return '';
@@ -330,62 +2003,129 @@ function get_git_diff_for_file(file_path, staged_only) {
 }
 
 /**
- * Strip logic from methods in a folder's files.
- * @param {vscode.Uri|undefined} uri
+ * Strip logic from methods in the selected files and folders.
+ * @param {vscode.Uri|undefined} uri The item the command was invoked on.
+ * @param {vscode.Uri[]|undefined} uris Every selected item when invoked from a multi-selection.
  */
-async function strip_logic_from_folder_methods(uri) {
-  if (!uri || !uri.fsPath) {
-    uri = await vscode.window.showOpenDialog({
-      canSelectFiles: false,
-      canSelectFolders: true,
-      canSelectMany: false,
-      openLabel: 'Select Folder'
-    });
-    if (!uri || uri.length === 0) {
-      vscode.window.showErrorMessage("No folder selected.");
-      return;
-    }
-    uri = uri[0];
-  }
-
-  const folder_path = uri.fsPath;
-
-  if (!fs.existsSync(folder_path) || !fs.lstatSync(folder_path).isDirectory()) {
-    vscode.window.showErrorMessage("Please select a valid folder.");
-    return;
-  }
+async function strip_logic_from_folder_methods(uri, uris) {
+  const selected_paths = await resolve_selected_paths(uri, uris);
+  if (!selected_paths) return;
 
   try {
-    // Gather ignore patterns
-    const ignore_patterns = load_ignore_patterns(folder_path);
-
-    console.log(`Starting to gather text files for logic stripping from: ${folder_path}`);
-    const text_files = get_all_text_files(folder_path, folder_path, ignore_patterns);
-    console.log(`Found ${text_files.length} text files`);
-
-    if (text_files.length === 0) {
-      vscode.window.showInformationMessage("No text files found to process in the selected folder and its subfolders.");
+    const selection = await with_walk_progress((walk_opts) => collect_selection(selected_paths, get_core_settings(), ignore_utils, walk_opts));
+    if (!selection) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
+    }
+    if (selection.text_files.length === 0) {
+      vscode.window.showInformationMessage("No text files found to process in the selected files and folders.");
       return;
     }
 
-    const folder_structure = generate_folder_structure(folder_path, '', folder_path, ignore_patterns);
-    const folder_name = path.basename(folder_path);
-    let content_to_copy = `${folder_name} Folder Structure:\n${folder_structure}\nStripped Methods (Logic Removed):\n`;
-
-    for (const file_path of text_files) {
-      const file_content = fs.readFileSync(file_path, 'utf8');
-      const relative_file_path = path.relative(folder_path, file_path);
-      const stripped_content = strip_logic_from_content(file_content);
-      content_to_copy += `----------------------\n/${relative_file_path.replace(/\\/g, '/')}\n-----------------------\n${stripped_content}\n-----------------------\n\n`;
+    const result = await build_stripped_bundle(selection, get_core_settings());
+    if (!result) {
+      vscode.window.showInformationMessage("Copy cancelled.");
+      return;
     }
 
-    await vscode.env.clipboard.writeText(content_to_copy);
-    vscode.window.showInformationMessage(`Folder methods stripped of logic and copied to clipboard! (${text_files.length} files)`);
+    const delivered = await deliver_bundle(result.bundle, {
+      summary: 'Folder methods with logic stripped',
+      count: `${result.bundle.files.length} files`,
+      details: [...selection.notes, ...result.details],
+    });
+    if (delivered) await save_copy_snapshot({ type: 'selection', paths: selected_paths }, selection, result.bundle);
   } catch (error) {
     vscode.window.showErrorMessage("Failed to strip logic from folder methods: " + error.message);
   }
 }
 
+/**
+ * Read files into a bundle with logic stripped. When `smartContext.stripLogicUnsupportedFiles` is
+ * `outline`, each file in an unsupported language is opened for its language server's symbols,
+ * so the build runs under a cancellable progress notification.
+ * @param {import('./context_core.mjs').Selection} selection
+ * @param {import('./context_core.mjs').CoreSettings} settings
+ * @param {string} [title] Defaults to the stripped mode's title.
+ * @returns {Promise<{bundle: Object, details: string[]}|null>} `null` when cancelled.
+ */
+async function build_stripped_bundle(selection, settings, title) {
+  const unsupported = get_strip_logic_unsupported_setting();
+  if (unsupported !== 'outline') return build_files_bundle(selection, settings, { mode: 'stripped', title });
+
+  return vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Smart Context: stripping logic',
+    cancellable: true,
+  }, async (progress, token) => {
+    const without_symbols = [];
+    let done = 0;
+    const result = await build_files_bundle(selection, settings, {
+      mode: 'stripped',
+      title,
+      is_cancelled: () => token.isCancellationRequested,
+      transform_file: async (file_path, content) => {
+        progress.report({ message: `${++done} of ${selection.text_files.length} files` });
+        if (get_skeleton_language(file_path)) return strip_logic_for_file(file_path, content, { unsupported });
+        const outline = await get_symbol_outline(await vscode.workspace.openTextDocument(vscode.Uri.file(file_path)));
+        if (!outline) without_symbols.push(get_bundle_path(selection, file_path));
+        return outline || content;
+      },
+    });
+    if (!result || without_symbols.length === 0) return result;
+    return { ...result, details: [`No symbols found, copied in full: ${without_symbols.join(', ')}`, ...result.details] };
+  });
+}
+
+/**
+ * Resolve the Explorer selection passed to a command into absolute paths,
+ * prompting for files and folders when the command was run from the palette.
+ * Shows an error and returns undefined when nothing usable was selected.
+ * @param {vscode.Uri|undefined} uri
+ * @param {vscode.Uri[]|undefined} uris
+ * @returns {Promise<string[]|undefined>}
+ */
+async function resolve_selected_paths(uri, uris) {
+  let selected = Array.isArray(uris) && uris.length > 0 ? uris : (uri && uri.fsPath ? [uri] : null);
+  if (!selected) {
+    selected = await vscode.window.showOpenDialog({
+      canSelectFiles: true,
+      canSelectFolders: true,
+      canSelectMany: true,
+      openLabel: 'Select Files or Folders'
+    });
+    if (!selected || selected.length === 0) {
+      vscode.window.showErrorMessage("No files or folders selected.");
+      return undefined;
+    }
+  }
+
+  const selected_paths = selected.map((item) => item.fsPath).filter((item_path) => fs.existsSync(item_path));
+  if (selected_paths.length === 0) {
+    vscode.window.showErrorMessage("Please select a valid file or folder.");
+    return undefined;
+  }
+  return selected_paths;
+}
+
+/**
+ * Run a folder walk under a cancellable progress notification.
+ * @template T
+ * @param {(walk_opts: {is_cancelled: () => boolean, on_progress: (count: number) => void}) => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function with_walk_progress(task) {
+  return vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Smart Context: collecting files',
+    cancellable: true,
+  }, (progress, token) => task({
+    is_cancelled: () => token.isCancellationRequested,
+    on_progress: (count) => {
+      if (count % 100 === 0) progress.report({ message: `${count} files found` });
+    },
+  }));
+}
+
 /**
  * Strip logic from methods in all currently visible text editors.
  */
@@ -396,127 +2136,89 @@ async function strip_logic_from_open_files() {
     return;
   }
 
-  let content_to_copy = "Open Files Methods (Logic Removed):\n";
-
+  const unsupported = get_strip_logic_unsupported_setting();
+  const files = [];
   for (const editor of editors) {
     const document = editor.document;
-    const file_content = document.getText();
-    const file_path = document.fileName;
-    const relative_file_path = vscode.workspace.asRelativePath(file_path);
-
-    const stripped_content = strip_logic_from_content(file_content);
-    content_to_copy += `----------------------\n/${relative_file_path.replace(/\\/g, '/')}\n-----------------------\n${stripped_content}\n-----------------------\n\n`;
+    const stripped_content = await strip_logic_with_outline(document.uri, document.fileName, document.getText(), unsupported);
+    if (stripped_content === null) continue;
+    files.push({
+      path: get_workspace_bundle_path(document.uri),
+      content: stripped_content,
+    });
   }
-
-  await vscode.env.clipboard.writeText(content_to_copy);
-  vscode.window.showInformationMessage(`Methods in open files stripped of logic and copied to clipboard! (${editors.length} files)`);
+  const skipped = editors.length - files.length;
+
+  await deliver_bundle({
+    format: get_output_format(),
+    title: 'Open Files Methods (Logic Removed)',
+    files,
+  }, {
+    summary: 'Methods in open files with logic stripped',
+    count: `${files.length} files`,
+    details: [skipped ? `Skipped ${skipped} file(s) in unsupported languages.` : ''],
+  });
 }
 
 /**
- * Recursively gather all text files from a directory, skipping those that match any ignore pattern.
- * @param {string} dir - Current directory being processed.
- * @param {string} base_path - The top-level path to relativize.
- * @param {string[]} ignore_patterns - The loaded ignore patterns from the utility.
- * @returns {string[]} An array of absolute paths to text files.
+ * Copy a signature-only outline of every visible editor, built from the language server's
+ * symbols, whatever the language.
  */
-function get_all_text_files(dir, base_path, ignore_patterns) {
-  let results = [];
-  const list = fs.readdirSync(dir);
-  for (let file of list) {
-    const full_path = path.join(dir, file);
-
-    // Build the relative path (for ignoring)
-    const relative_path = path.relative(base_path, full_path).replace(/\\/g, '/');
+async function copy_outline_of_open_files() {
+  const editors = vscode.window.visibleTextEditors;
+  if (editors.length === 0) {
+    vscode.window.showInformationMessage("No open files to process.");
+    return;
+  }
 
-    // Check if we skip
-    if (should_ignore(relative_path, ignore_patterns) || is_extraneous_file(file, full_path)) {
-      console.log(`Ignoring file/folder: ${relative_path}`);
+  const files = [];
+  const without_symbols = [];
+  for (const document of new Set(editors.map((editor) => editor.document))) {
+    const bundle_path = get_workspace_bundle_path(document.uri);
+    const outline = await get_symbol_outline(document);
+    if (!outline) {
+      without_symbols.push(bundle_path.slice(1));
       continue;
     }
-
-    const stat = fs.statSync(full_path);
-    if (stat && stat.isDirectory()) {
-      console.log(`Entering subfolder: ${relative_path}`);
-      results = results.concat(get_all_text_files(full_path, base_path, ignore_patterns));
-    } else if (is_text_file(full_path)) {
-      console.log(`Adding file: ${relative_path}`);
-      results.push(full_path);
-    }
+    files.push({ path: bundle_path, language: get_language_id(document.fileName) || document.languageId, content: outline });
+  }
+  if (files.length === 0) {
+    vscode.window.showInformationMessage("No symbols found in the open files. Outlines need a language extension that provides symbols.");
+    return;
   }
-  return results;
-}
-
-/**
- * Generate an ASCII folder structure, skipping ignored files/folders.
- * @param {string} dir
- * @param {string} prefix
- * @param {string} base_path
- * @param {string[]} ignore_patterns
- * @returns {string} ASCII-art style representation of the folder tree.
- */
-function generate_folder_structure(dir, prefix, base_path, ignore_patterns) {
-  let structure = '';
-  const list = fs.readdirSync(dir);
-
-  list.forEach((file, index) => {
-    const full_path = path.join(dir, file);
-    const relative_path = path.relative(base_path, full_path).replace(/\\/g, '/');
-    if (should_ignore(relative_path, ignore_patterns) || is_extraneous_file(file, full_path)) {
-      return;
-    }
-
-    const is_last = index === list.length - 1;
-    const connector = is_last ? '└── ' : '├── ';
-    structure += `${prefix}${connector}${file}\n`;
 
-    if (fs.statSync(full_path).isDirectory()) {
-      structure += generate_folder_structure(
-        full_path,
-        prefix + (is_last ? '    ' : '│   '),
-        base_path,
-        ignore_patterns
-      );
-    }
+  await deliver_bundle({
+    format: get_output_format(),
+    title: 'Open Files Outline',
+    files,
+  }, {
+    summary: 'Outline of open files',
+    count: `${files.length} files`,
+    details: [without_symbols.length ? `No symbols found in: ${without_symbols.join(', ')}` : ''],
   });
-  return structure;
 }
 
 /**
- * Certain files/folders we always skip, regardless of ignore files.
- * @param {string} file_name
- * @param {string} full_path
- * @returns {boolean}
+ * Strip logic from a file with the extractor for its language. With `unsupported` set to
+ * `outline`, files in other languages get a language-server outline instead, or their full
+ * content when no language server reports symbols.
+ * @param {vscode.Uri} uri
+ * @param {string} file_path
+ * @param {string} content
+ * @param {'full'|'skip'|'outline'} unsupported
+ * @returns {Promise<string|null>} `null` when the file should be left out.
  */
-function is_extraneous_file(file_name, full_path) {
-  const extraneous_files = ['.gitignore', '.scignore', '.DS_Store'];
-  const extraneous_dirs = ['.git'];
-  if (extraneous_files.includes(file_name)) {
-    return true;
+async function strip_logic_with_outline(uri, file_path, content, unsupported) {
+  if (unsupported !== 'outline' || get_skeleton_language(file_path)) {
+    return strip_logic_for_file(file_path, content, { unsupported });
   }
-  return extraneous_dirs.some(dir => full_path.includes(dir));
+  return (await get_symbol_outline(await vscode.workspace.openTextDocument(uri))) || content;
 }
 
 /**
- * Minify file content by removing comments and extraneous whitespace.
- * @param {string} content
- * @returns {string}
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<string>} Empty when the language server reports no symbols.
  */
-function minify_content(content) {
-  // Remove block comments
-  content = content.replace(/\/\*[\s\S]*?\*\//g, '');
-  // Remove single line comments //
-  content = content.replace(/\/\/[^\r\n]*/g, '');
-  // Remove single line comments #
-  content = content.replace(/^[ \t]*#[^\r\n]*/gm, '');
-  // Trim lines and remove excessive whitespace
-  let lines = content.split('\n');
-  let processed_lines = [];
-  for (let line of lines) {
-    line = line.trim();
-    if (line.length > 0) {
-      line = line.replace(/\s+/g, ' ');
-      processed_lines.push(line);
-    }
-  }
-  return processed_lines.join('\n');
+async function get_symbol_outline(document) {
+  return format_symbol_outline(await get_document_symbols(document.uri), document.getText().split(/\r?\n/));
 }
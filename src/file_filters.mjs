@@ -0,0 +1,191 @@
+import ignore from 'ignore';
+
+/**
+ * Rules deciding which files and folders a walk leaves out, on top of the ignore files.
+ *
+ * In order of precedence:
+ * 1. `exclude` globs always win.
+ * 2. Built-in exclusions (`.git`, `.gitignore`, `.scignore`, `.DS_Store`), matched by exact name,
+ *    are always left out too.
+ * 3. `force_include` globs override everything below, including `.gitignore`.
+ * 4. Lockfiles and generated files, when skipped.
+ * 5. Dotfiles, when not included.
+ * 6. The ignore files (`.gitignore`, `.scignore`).
+ *
+ * Globs use .gitignore syntax against paths relative to the walked folder. An ignored folder
+ * is still entered when a force-include glob names a path inside it, e.g. `build/types/**`.
+ */
+
+export const extraneous_names = ['.git', '.gitignore', '.scignore', '.DS_Store'];
+
+export const lockfile_names = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'Gemfile.lock',
+  'composer.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'uv.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'packages.lock.json',
+  'flake.lock',
+];
+
+export const generated_file_patterns = [
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '*.generated.*',
+  '*.g.dart',
+  '*.pb.go',
+  '*_pb2.py',
+  '*_pb2_grpc.py',
+  '__generated__/',
+];
+
+/**
+ * Whether a path is one of the built-in exclusions, or lies inside a `.git` folder.
+ * Compares whole path segments, so `.github` or `my.gitrepo` are not affected.
+ * @param {string} file_path Relative or absolute, with `/` or `\` separators.
+ * @returns {boolean}
+ */
+export function is_extraneous_path(file_path) {
+  const segments = file_path.split(/[\\/]/).filter(Boolean);
+  return segments.includes('.git') || extraneous_names.includes(segments[segments.length - 1]);
+}
+
+/**
+ * Build the `get_ignore_reason` callback used by `walk_folder`.
+ * @param {Object} opts
+ * @param {string[]} [opts.exclude=[]]
+ * @param {string[]} [opts.force_include=[]]
+ * @param {boolean} [opts.skip_lockfiles=true]
+ * @param {boolean} [opts.skip_generated=true]
+ * @param {boolean} [opts.include_dotfiles=true]
+ * @param {(relative_path: string) => string|null} [opts.get_ignore_file_reason] Reason from the
+ *   ignore files, or null. Folder paths end with `/`, so folder-only rules like `build/` match.
+ * @returns {(relative_path: string, name: string, full_path: string, is_directory: boolean) => string|null}
+ */
+export function create_file_filter({
+  exclude = [],
+  force_include = [],
+  skip_lockfiles = true,
+  skip_generated = true,
+  include_dotfiles = true,
+  get_ignore_file_reason = () => null,
+} = {}) {
+  const excluded = ignore().add(exclude);
+  const forced = ignore().add(force_include);
+  const generated = ignore().add(generated_file_patterns);
+  const forced_prefixes = force_include.map(get_literal_directory).filter(Boolean);
+
+  return (relative_path, name, full_path, is_directory) => {
+    const match_path = is_directory ? `${relative_path}/` : relative_path;
+    if (excluded.ignores(match_path)) {
+      return `excluded by ${exclude.find((pattern) => ignore().add(pattern).ignores(match_path)) || 'smartContext.exclude'}`;
+    }
+    if (is_extraneous_path(relative_path)) return 'always excluded';
+    if (forced.ignores(match_path)) return null;
+
+    let reason = null;
+    if (skip_lockfiles && !is_directory && lockfile_names.includes(name)) reason = 'lockfile';
+    else if (skip_generated && generated.ignores(match_path)) reason = 'generated file';
+    else if (!include_dotfiles && name.startsWith('.')) reason = 'dotfile';
+    else reason = get_ignore_file_reason(match_path);
+
+    // Keep walking into an ignored folder that holds force-included paths.
+    if (reason && is_directory && forced_prefixes.some((prefix) => prefix.startsWith(match_path) || match_path.startsWith(prefix))) {
+      return null;
+    }
+    return reason;
+  };
+}
+
+/**
+ * The folder part of a glob before its first wildcard, e.g. `build/types/` for
+ * `build/types/**\/*.d.ts`. Empty when the glob can match at any depth.
+ */
+function get_literal_directory(pattern) {
+  const normalized = pattern.replace(/^\//, '');
+  const wildcard = normalized.search(/[*?[]/);
+  const literal = wildcard === -1 ? normalized : normalized.slice(0, wildcard);
+  const slash = literal.lastIndexOf('/');
+  if (slash === -1) return wildcard === -1 && pattern.includes('/') ? `${normalized}/` : '';
+  return literal.slice(0, slash + 1);
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "extraneous_paths_match_whole_segments",
+      before: async function () {},
+      assert: async function (a) {
+        a.equal(is_extraneous_path('.git'), true);
+        a.equal(is_extraneous_path('/repo/.git/config'), true);
+        a.equal(is_extraneous_path('src\\.DS_Store'), true);
+        a.equal(is_extraneous_path('.github/workflows/ci.yml'), false);
+        a.equal(is_extraneous_path('my.gitrepo/notes.md'), false);
+        a.equal(is_extraneous_path('docs/.gitignore.md'), false);
+      },
+    },
+    {
+      name: "filter_applies_rules_in_order_of_precedence",
+      before: async function () {
+        this.filter = create_file_filter({
+          exclude: ['docs/'],
+          force_include: ['dist/types/**', '.env.example', 'docs/keep.md'],
+          include_dotfiles: false,
+          get_ignore_file_reason: (relative_path) => /^(dist|node_modules)(\/|$)/.test(relative_path) ? 'ignored by dist' : null,
+        });
+        this.reason = (relative_path, is_directory = false) => this.filter(relative_path, relative_path.split('/').pop(), '', is_directory);
+      },
+      assert: async function (a) {
+        a.equal(this.reason('docs', true), 'excluded by docs/');
+        a.equal(this.reason('docs/keep.md'), 'excluded by docs/');
+        a.equal(this.reason('.env'), 'dotfile');
+        a.equal(this.reason('.env.example'), null);
+        a.equal(this.reason('package-lock.json'), 'lockfile');
+        a.equal(this.reason('public/app.min.js'), 'generated file');
+        a.equal(this.reason('src/__generated__', true), 'generated file');
+        a.equal(this.reason('.git', true), 'always excluded');
+        a.equal(this.reason('node_modules', true), 'ignored by dist');
+        a.equal(this.reason('dist', true), null, "Entered because a force-include glob points inside it");
+        a.equal(this.reason('dist/types', true), null);
+        a.equal(this.reason('dist/types/index.d.ts'), null);
+        a.equal(this.reason('dist/bundle.js'), 'ignored by dist');
+        a.equal(this.reason('src/app.js'), null);
+      },
+    },
+    {
+      name: "force_include_cannot_pull_in_git_internals",
+      before: async function () {
+        this.filter = create_file_filter({ force_include: ['**', '.git/**'] });
+      },
+      assert: async function (a) {
+        a.equal(this.filter('.git', '.git', '', true), 'always excluded');
+        a.equal(this.filter('.git/config', 'config', '', false), 'always excluded');
+        a.equal(this.filter('src/.gitignore', '.gitignore', '', false), 'always excluded');
+        a.equal(this.filter('src/app.js', 'app.js', '', false), null);
+      },
+    },
+    {
+      name: "lockfiles_and_generated_files_can_be_kept",
+      before: async function () {
+        this.filter = create_file_filter({ skip_lockfiles: false, skip_generated: false });
+      },
+      assert: async function (a) {
+        a.equal(this.filter('yarn.lock', 'yarn.lock', '', false), null);
+        a.equal(this.filter('app.min.js', 'app.min.js', '', false), null);
+        a.equal(this.filter('.github', '.github', '', true), null);
+      },
+    },
+  ],
+};
@@ -0,0 +1,94 @@
+import * as path from 'path';
+
+/**
+ * Build an ASCII tree from a list of relative file paths, in the same style as
+ * `generate_folder_structure`. Used when the copied files do not come from a single
+ * folder walk (e.g. a multi-selection in the Explorer).
+ *
+ * @param {string[]} relative_paths Paths relative to the tree root, using `/` or `\` separators.
+ * @returns {string}
+ */
+export function build_file_tree(relative_paths) {
+  const root = new Map();
+  for (const relative_path of relative_paths) {
+    let node = root;
+    for (const segment of relative_path.split(/[\\/]/).filter(Boolean)) {
+      if (!node.has(segment)) node.set(segment, new Map());
+      node = node.get(segment);
+    }
+  }
+  return render_tree(root, '');
+}
+
+function render_tree(node, prefix) {
+  let structure = '';
+  const names = [...node.keys()].sort((a, b) => a.localeCompare(b));
+  names.forEach((name, index) => {
+    const is_last = index === names.length - 1;
+    structure += `${prefix}${is_last ? '└── ' : '├── '}${name}\n`;
+    structure += render_tree(node.get(name), prefix + (is_last ? '    ' : '│   '));
+  });
+  return structure;
+}
+
+/**
+ * Deepest folder that contains every given path. Folders count as themselves,
+ * files count as their parent folder.
+ *
+ * @param {Array<{path: string, is_directory: boolean}>} items Absolute paths.
+ * @returns {string}
+ */
+export function get_common_base_path(items) {
+  const folders = items.map((item) => item.is_directory ? path.resolve(item.path) : path.dirname(path.resolve(item.path)));
+  let base = folders[0] || '';
+  for (const folder of folders.slice(1)) {
+    while (base !== folder && !folder.startsWith(base.endsWith(path.sep) ? base : base + path.sep)) {
+      const parent = path.dirname(base);
+      if (parent === base) break;
+      base = parent;
+    }
+  }
+  return base;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "build_file_tree_merges_shared_folders",
+      before: async function () {
+        this.paths = ['src/b.js', 'src/a.js', 'README.md', 'src/lib/c.js'];
+      },
+      assert: async function (a) {
+        a.equal(build_file_tree(this.paths), [
+          '├── README.md',
+          '└── src',
+          '    ├── a.js',
+          '    ├── b.js',
+          '    └── lib',
+          '        └── c.js',
+          '',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "get_common_base_path_uses_parent_of_files",
+      before: async function () {
+        this.items = [
+          { path: path.join('/repo', 'src', 'a.js'), is_directory: false },
+          { path: path.join('/repo', 'src', 'lib'), is_directory: true },
+          { path: path.join('/repo', 'test', 'b.js'), is_directory: false },
+        ];
+      },
+      assert: async function (a) {
+        a.equal(get_common_base_path(this.items), path.resolve('/repo'));
+        a.equal(get_common_base_path([{ path: '/repo/src', is_directory: true }]), path.resolve('/repo/src'));
+        a.equal(get_common_base_path([
+          { path: '/repo/src-old/a.js', is_directory: false },
+          { path: '/repo/src', is_directory: true },
+        ]), path.resolve('/repo'));
+      },
+    },
+  ],
+};
@@ -0,0 +1,310 @@
+/**
+ * Shared serializer for every bundle the extension copies.
+ *
+ * Supported formats:
+ * - `markdown`: `/path` line followed by a fenced code block with a language tag.
+ * - `xml`: `<file path="..." language="...">` blocks, suited to Claude-style prompts.
+ * - `json`: `{ title, part?, tree, files: [{ path, language, content, label?, diagnostics? }] }`.
+ *
+ * Files may carry editor diagnostics; they are listed right after the file's content.
+ */
+
+export const output_formats = ['markdown', 'xml', 'json'];
+
+const LANGUAGE_BY_EXTENSION = {
+  mjs: 'js',
+  cjs: 'js',
+  jsx: 'jsx',
+  ts: 'ts',
+  mts: 'ts',
+  cts: 'ts',
+  tsx: 'tsx',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  kt: 'kotlin',
+  cs: 'csharp',
+  sh: 'bash',
+  zsh: 'bash',
+  yml: 'yaml',
+  md: 'markdown',
+  htm: 'html',
+  h: 'c',
+  hpp: 'cpp',
+  cc: 'cpp',
+};
+
+/**
+ * Language tag for a file, based on its extension.
+ * @param {string} file_path
+ * @returns {string} Empty string when the file has no extension.
+ */
+export function get_language_id(file_path) {
+  const match = /\.([^./\\]+)$/.exec(file_path);
+  if (!match) return '';
+  const extension = match[1].toLowerCase();
+  return LANGUAGE_BY_EXTENSION[extension] || extension;
+}
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'|'info'|'hint'} severity
+ * @property {number} line 1-based.
+ * @property {number} column 1-based.
+ * @property {string} [source] e.g. `ts` or `eslint`.
+ * @property {string} [code] e.g. `2304` or `no-undef`.
+ * @property {string} message
+ */
+
+/**
+ * One diagnostic as a single readable line, e.g. `error 12:5 [ts 2304] Cannot find name 'x'.`
+ * Multi-line messages are joined with ` / `.
+ * @param {Diagnostic} diagnostic
+ * @returns {string}
+ */
+export function format_diagnostic({ severity, line, column, source, code, message }) {
+  const origin = [source, code].filter(Boolean).join(' ');
+  return `${severity} ${line}:${column}${origin ? ` [${origin}]` : ''} ${message.split(/\r?\n/).map((part) => part.trim()).filter(Boolean).join(' / ')}`;
+}
+
+/**
+ * Serialize a bundle into the chosen output format.
+ *
+ * @param {Object} bundle
+ * @param {string} [bundle.format='markdown'] One of `output_formats`.
+ * @param {string} [bundle.title] Heading for the file list, e.g. `File Contents (Minified)`.
+ * @param {{name: string, structure: string, heading?: string}|null} [bundle.tree] Folder structure header.
+ *   `heading` replaces the default `Folder Structure` label, e.g. `Dependency Tree`.
+ * @param {{index: number, total: number}|null} [bundle.part] Set when the bundle is one chunk of
+ *   a larger one; adds a `Part N of M` header.
+ * @param {Array<{path: string, language?: string, content: string, label?: string, diagnostics?: Diagnostic[]}>} bundle.files
+ *   `label` is an optional note shown with the file, e.g. `Working Tree Diff`.
+ * @returns {string}
+ */
+export function format_bundle({ format = 'markdown', title = '', tree = null, files = [], part = null }) {
+  const normalized = files.map((file) => ({
+    ...file,
+    language: file.language ?? get_language_id(file.path),
+  }));
+  if (format === 'json') return format_json(title, tree, normalized, part);
+  if (format === 'xml') return format_xml(title, tree, normalized, part);
+  return format_markdown(title, tree, normalized, part);
+}
+
+/**
+ * Just the folder structure, in the given format: a `text` fence for markdown, a
+ * `<folder_structure>` element for xml, and `{ "tree": ... }` for json.
+ * @param {{name: string, structure: string, heading?: string}} tree
+ * @param {string} [format='markdown'] One of `output_formats`.
+ * @returns {string} Without a trailing newline.
+ */
+export function format_tree(tree, format = 'markdown') {
+  if (format === 'json') return JSON.stringify({ tree: tree.structure }, null, 2);
+  if (format === 'xml') return format_xml_tree(tree).trimEnd();
+  return fence('text', tree.structure).trimEnd();
+}
+
+function format_markdown(title, tree, files, part) {
+  let output = part ? `Part ${part.index} of ${part.total}\n\n` : '';
+  if (tree) {
+    output += `${tree.name} ${tree.heading || 'Folder Structure'}:\n${fence('text', tree.structure)}\n`;
+  }
+  if (title) output += `${title}:\n`;
+  for (const file of files) {
+    output += `${file.path}\n`;
+    if (file.label) output += `${file.label}:\n`;
+    output += fence(file.language, file.content);
+    if (file.diagnostics?.length) {
+      output += `Diagnostics:\n${file.diagnostics.map((diagnostic) => `- ${format_diagnostic(diagnostic)}\n`).join('')}`;
+    }
+    output += '\n';
+  }
+  return output;
+}
+
+function format_xml(title, tree, files, part) {
+  let output = part ? `<part index="${part.index}" total="${part.total}"/>\n` : '';
+  if (tree) output += format_xml_tree(tree);
+  output += title ? `<files title="${escape_attribute(title)}">\n` : '<files>\n';
+  for (const file of files) {
+    const attributes = [`path="${escape_attribute(file.path)}"`];
+    if (file.language) attributes.push(`language="${escape_attribute(file.language)}"`);
+    if (file.label) attributes.push(`label="${escape_attribute(file.label)}"`);
+    output += `<file ${attributes.join(' ')}>\n${xml_text(file.content)}</file>\n`;
+    if (file.diagnostics?.length) {
+      output += `<diagnostics path="${escape_attribute(file.path)}">\n`;
+      for (const { severity, line, column, source, code, message } of file.diagnostics) {
+        const origin = [source ? ` source="${escape_attribute(source)}"` : '', code ? ` code="${escape_attribute(code)}"` : ''].join('');
+        output += `<diagnostic severity="${severity}" line="${line}" column="${column}"${origin}>${escape_attribute(message)}</diagnostic>\n`;
+      }
+      output += '</diagnostics>\n';
+    }
+  }
+  output += '</files>\n';
+  return output;
+}
+
+function format_xml_tree(tree) {
+  const heading = tree.heading ? ` heading="${escape_attribute(tree.heading)}"` : '';
+  return `<folder_structure name="${escape_attribute(tree.name)}"${heading}>\n${xml_text(tree.structure)}</folder_structure>\n`;
+}
+
+function format_json(title, tree, files, part) {
+  return JSON.stringify({
+    title,
+    ...(part ? { part } : {}),
+    tree: tree ? tree.structure : null,
+    files: files.map((file) => ({
+      path: file.path,
+      language: file.language,
+      content: file.content,
+      ...(file.label ? { label: file.label } : {}),
+      ...(file.diagnostics?.length ? { diagnostics: file.diagnostics } : {}),
+    })),
+  }, null, 2) + '\n';
+}
+
+/**
+ * Wrap content in a fenced code block, lengthening the fence when the content
+ * itself contains backtick runs.
+ * @param {string} language
+ * @param {string} content
+ * @returns {string}
+ */
+function fence(language, content) {
+  const longest_run = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const ticks = '`'.repeat(Math.max(3, longest_run + 1));
+  return `${ticks}${language}\n${ensure_trailing_newline(content)}${ticks}\n`;
+}
+
+function ensure_trailing_newline(text) {
+  return text.endsWith('\n') ? text : text + '\n';
+}
+
+/**
+ * Element text for the xml format. Text with markup characters goes in a CDATA section, so a
+ * file containing `</file>` can't end its element early; any `]]>` in it is split across two
+ * sections.
+ * @param {string} text
+ * @returns {string}
+ */
+function xml_text(text) {
+  const content = ensure_trailing_newline(text);
+  if (!/[<&]/.test(content)) return content;
+  return `<![CDATA[${content.replace(/]]>/g, ']]]]><![CDATA[>')}]]>\n`;
+}
+
+function escape_attribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "get_language_id_maps_extensions",
+      before: async function () {},
+      assert: async function (a) {
+        a.equal(get_language_id('src/a.mjs'), 'js');
+        a.equal(get_language_id('tool.py'), 'python');
+        a.equal(get_language_id('main.go'), 'go');
+        a.equal(get_language_id('Makefile'), '');
+      },
+    },
+    {
+      name: "markdown_uses_path_line_and_language_fence",
+      before: async function () {
+        this.bundle = {
+          format: 'markdown',
+          title: 'File Contents',
+          tree: { name: 'src', structure: '└── a.js\n' },
+          files: [{ path: '/a.js', content: 'const a = 1;' }],
+        };
+      },
+      assert: async function (a) {
+        const output = format_bundle(this.bundle);
+        a.ok(output.startsWith('src Folder Structure:\n```text\n└── a.js\n```\n'));
+        a.ok(output.includes('File Contents:\n/a.js\n```js\nconst a = 1;\n```\n'));
+      },
+    },
+    {
+      name: "tree_heading_can_be_renamed",
+      before: async function () {
+        this.tree = { name: 'app.js', heading: 'Dependency Tree', structure: 'app.js\n└── util.js\n' };
+      },
+      assert: async function (a) {
+        a.ok(format_bundle({ tree: this.tree }).startsWith('app.js Dependency Tree:\n```text\n'));
+        a.ok(format_bundle({ format: 'xml', tree: this.tree }).startsWith('<folder_structure name="app.js" heading="Dependency Tree">\n'));
+      },
+    },
+    {
+      name: "markdown_fence_grows_past_backticks_in_content",
+      before: async function () {
+        this.bundle = { files: [{ path: '/README.md', content: '```js\nx\n```' }] };
+      },
+      assert: async function (a) {
+        const output = format_bundle(this.bundle);
+        a.ok(output.includes('````markdown\n```js\nx\n```\n````\n'));
+      },
+    },
+    {
+      name: "xml_wraps_files_in_tags_with_escaped_attributes",
+      before: async function () {
+        this.bundle = {
+          format: 'xml',
+          title: 'Open Files',
+          files: [{ path: '/a "b".ts', content: 'let x = 1;', label: 'Staged Diff', language: 'diff' }],
+        };
+      },
+      assert: async function (a) {
+        const output = format_bundle(this.bundle);
+        a.ok(output.includes('<files title="Open Files">'));
+        a.ok(output.includes('<file path="/a &quot;b&quot;.ts" language="diff" label="Staged Diff">\nlet x = 1;\n</file>'));
+      },
+    },
+    {
+      name: "xml_keeps_markup_in_content_inside_cdata",
+      before: async function () {
+        this.files = [{ path: '/test.mjs', content: "a.ok(output.includes('</file>\\n</files>'));\nconst end = ']]>';" }];
+      },
+      assert: async function (a) {
+        const output = format_bundle({ format: 'xml', files: this.files });
+        a.ok(output.includes("<file path=\"/test.mjs\" language=\"js\">\n<![CDATA[a.ok(output.includes('</file>\\n</files>'));\nconst end = ']]]]><![CDATA[>';\n]]>\n</file>\n</files>\n"));
+        a.equal(output.match(/<\/file>/g).length, 2);
+      },
+    },
+    {
+      name: "diagnostics_follow_their_file",
+      before: async function () {
+        this.diagnostic = { severity: 'error', line: 2, column: 7, source: 'ts', code: '2304', message: "Cannot find name 'y'.\n  Did you mean 'x'?" };
+        this.files = [{ path: '/a.ts', content: 'let x = 1;\nlet z = y;', diagnostics: [this.diagnostic] }];
+      },
+      assert: async function (a) {
+        a.ok(format_bundle({ files: this.files }).includes("```\nDiagnostics:\n- error 2:7 [ts 2304] Cannot find name 'y'. / Did you mean 'x'?\n"));
+        a.ok(format_bundle({ format: 'xml', files: this.files }).includes('</file>\n<diagnostics path="/a.ts">\n<diagnostic severity="error" line="2" column="7" source="ts" code="2304">'));
+        a.deepEqual(JSON.parse(format_bundle({ format: 'json', files: this.files })).files[0].diagnostics, [this.diagnostic]);
+        a.equal(format_diagnostic({ severity: 'warning', line: 1, column: 1, message: 'Unused' }), 'warning 1:1 Unused');
+      },
+    },
+    {
+      name: "json_outputs_parseable_file_array",
+      before: async function () {
+        this.bundle = {
+          format: 'json',
+          tree: { name: 'src', structure: '└── a.py\n' },
+          files: [{ path: '/a.py', content: 'pass' }],
+        };
+      },
+      assert: async function (a) {
+        const parsed = JSON.parse(format_bundle(this.bundle));
+        a.equal(parsed.tree, '└── a.py\n');
+        a.deepEqual(parsed.files, [{ path: '/a.py', language: 'python', content: 'pass' }]);
+      },
+    },
+  ],
+};
@@ -0,0 +1,386 @@
+import { execFile } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+/**
+ * Git plumbing for the "copy my changes" and "copy with git history" commands.
+ * Every call passes arguments as an array to `git`; nothing is interpolated into a shell string.
+ */
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Run git with an argument array.
+ * @param {string[]} args
+ * @param {string} cwd
+ * @param {Object} [opts]
+ * @param {number[]} [opts.ok_exit_codes=[0]] Exit codes treated as success.
+ * @returns {Promise<string>} stdout
+ */
+export function run_git(args, cwd, { ok_exit_codes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_BUFFER }, (error, stdout, stderr) => {
+      if (error && !ok_exit_codes.includes(error.code)) {
+        reject(new Error((stderr || error.message).trim()));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Top-level folder of the git repository containing `folder_path`, or undefined.
+ * @param {string} folder_path
+ * @returns {Promise<string|undefined>}
+ */
+export async function get_repo_root(folder_path) {
+  try {
+    return (await run_git(['rev-parse', '--show-toplevel'], folder_path)).trim() || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Local and remote branch names, most likely base branches first.
+ * @param {string} repo_path
+ * @returns {Promise<string[]>}
+ */
+export async function list_branches(repo_path) {
+  const output = await run_git(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'], repo_path);
+  const branches = output.split('\n').map((line) => line.trim()).filter((line) => line && !line.endsWith('/HEAD'));
+  const preferred = ['main', 'master', 'origin/main', 'origin/master', 'develop', 'origin/develop'];
+  return [
+    ...preferred.filter((branch) => branches.includes(branch)),
+    ...branches.filter((branch) => !preferred.includes(branch)),
+  ];
+}
+
+/**
+ * `git diff` arguments selecting the change set.
+ * @param {'staged'|'unstaged'|'branch'} mode
+ * @param {string} [base] Base branch for `branch` mode.
+ * @returns {string[]}
+ */
+function diff_range_args(mode, base) {
+  if (mode === 'staged') return ['--cached'];
+  // `--end-of-options` keeps a base like `--output=x` from being read as an option.
+  if (mode === 'branch') return ['--end-of-options', `${base}...HEAD`];
+  return [];
+}
+
+/**
+ * Parse `git diff --name-status -z` output.
+ * @param {string} output
+ * @returns {Array<{status: string, path: string, old_path?: string}>}
+ */
+export function parse_name_status(output) {
+  const fields = output.split('\0').filter((field) => field !== '');
+  const changes = [];
+  for (let i = 0; i < fields.length; i++) {
+    const status = fields[i][0];
+    if (status === 'R' || status === 'C') {
+      changes.push({ status, old_path: fields[i + 1], path: fields[i + 2] });
+      i += 2;
+    } else {
+      changes.push({ status, path: fields[i + 1] });
+      i += 1;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Files touched by a change set. Unstaged mode also lists untracked files as added.
+ * @param {string} repo_path
+ * @param {'staged'|'unstaged'|'branch'} mode
+ * @param {string} [base]
+ * @returns {Promise<Array<{status: string, path: string, old_path?: string}>>}
+ */
+export async function get_changed_files(repo_path, mode, base) {
+  const changes = parse_name_status(await run_git(['diff', '--name-status', '-z', ...diff_range_args(mode, base)], repo_path));
+  if (mode === 'unstaged') {
+    const untracked = await run_git(['ls-files', '--others', '--exclude-standard', '-z'], repo_path);
+    for (const file_path of untracked.split('\0').filter(Boolean)) {
+      changes.push({ status: '?', path: file_path });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Unified diff for one file in a change set.
+ * @param {string} repo_path
+ * @param {'staged'|'unstaged'|'branch'} mode
+ * @param {{status: string, path: string, old_path?: string}} change
+ * @param {string} [base]
+ * @returns {Promise<string>}
+ */
+export async function get_file_diff(repo_path, mode, change, base) {
+  if (change.status === '?') {
+    // Untracked: diff against /dev/null, which exits with 1 when the file is non-empty.
+    return run_git(['diff', '--no-index', '--', '/dev/null', change.path], repo_path, { ok_exit_codes: [0, 1] });
+  }
+  const paths = change.old_path ? [change.old_path, change.path] : [change.path];
+  return run_git(['diff', '-M', ...diff_range_args(mode, base), '--', ...paths], repo_path);
+}
+
+/**
+ * Content of a file after the change: the index for staged changes, HEAD for branch
+ * comparisons, the working tree otherwise. Returns null for deleted or binary files.
+ * @param {string} repo_path
+ * @param {'staged'|'unstaged'|'branch'} mode
+ * @param {{status: string, path: string}} change
+ * @param {(file_path: string) => Promise<string>} read_working_file
+ * @returns {Promise<string|null>}
+ */
+export async function get_post_change_content(repo_path, mode, change, read_working_file) {
+  if (change.status === 'D') return null;
+  let content;
+  if (mode === 'staged') {
+    content = await run_git(['show', `:${change.path}`], repo_path);
+  } else if (mode === 'branch') {
+    content = await run_git(['show', `HEAD:${change.path}`], repo_path);
+  } else {
+    content = await read_working_file(change.path);
+  }
+  return content.includes('\0') ? null : content;
+}
+
+const FIELD_SEPARATOR = '\x1f';
+const LOG_FORMAT = '--format=%h%x1f%an%x1f%ad%x1f%s';
+
+/**
+ * @typedef {{hash: string, author: string, date: string, subject: string}} CommitSummary
+ *   `date` is the author date as `YYYY-MM-DD`.
+ */
+
+/**
+ * Parse `git log` output written with `LOG_FORMAT`, one commit per line.
+ * @param {string} output
+ * @returns {CommitSummary[]}
+ */
+export function parse_log(output) {
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [hash, author, date, subject = ''] = line.split(FIELD_SEPARATOR);
+    return { hash, author, date, subject };
+  });
+}
+
+/**
+ * The most recent commits that touched a file, following renames.
+ * @param {string} repo_path
+ * @param {string} file_path Relative to the repository.
+ * @param {number} count
+ * @returns {Promise<CommitSummary[]>} Empty for untracked files.
+ */
+export async function get_file_log(repo_path, file_path, count) {
+  return parse_log(await run_git(['log', `-n${count}`, '--follow', '--date=short', LOG_FORMAT, '--', file_path], repo_path));
+}
+
+/**
+ * The most recent commits that touched any of the files, newest first.
+ * @param {string} repo_path
+ * @param {string[]} file_paths Relative to the repository.
+ * @param {number} count
+ * @returns {Promise<string[]>} Full commit hashes.
+ */
+export async function get_recent_commits(repo_path, file_paths, count) {
+  const commits = new Map();
+  // Batched to stay under command-line length limits; batches are merged by commit time.
+  for (let start = 0; start < file_paths.length; start += 100) {
+    const output = await run_git(['log', `-n${count}`, '--format=%H%x1f%ct', '--', ...file_paths.slice(start, start + 100)], repo_path);
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [hash, time] = line.split(FIELD_SEPARATOR);
+      commits.set(hash, Number(time));
+    }
+  }
+  return [...commits].sort((left, right) => right[1] - left[1]).slice(0, count).map(([hash]) => hash);
+}
+
+/**
+ * A commit's message, file summary and full patch, as `git show` prints them.
+ * @param {string} repo_path
+ * @param {string} hash
+ * @returns {Promise<string>}
+ */
+export function get_commit_patch(repo_path, hash) {
+  return run_git(['show', '--no-color', '--stat', '--patch', hash], repo_path);
+}
+
+/**
+ * @typedef {{hash: string, author: string, date: string, line: number, content: string}} BlameLine
+ */
+
+/**
+ * Parse `git blame --porcelain` output. Commit details are only printed the first time a commit
+ * appears, so they are remembered for the lines after it.
+ * @param {string} output
+ * @returns {BlameLine[]}
+ */
+export function parse_blame(output) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+  for (const row of output.split('\n')) {
+    if (row.startsWith('\t')) {
+      if (current) lines.push({ ...commits.get(current.hash), hash: current.hash, line: current.line, content: row.slice(1) });
+      current = null;
+      continue;
+    }
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(row);
+    if (header) {
+      current = { hash: header[1], line: Number(header[2]) };
+      if (!commits.has(current.hash)) commits.set(current.hash, { author: '', date: '' });
+      continue;
+    }
+    if (!current) continue;
+    const commit = commits.get(current.hash);
+    if (row.startsWith('author ')) commit.author = row.slice('author '.length);
+    else if (row.startsWith('author-time ')) commit.date = new Date(Number(row.slice('author-time '.length)) * 1000).toISOString().slice(0, 10);
+  }
+  return lines;
+}
+
+/**
+ * Blame for a range of lines in the working-tree file.
+ * @param {string} repo_path
+ * @param {string} file_path Relative to the repository.
+ * @param {number} start_line 1-based.
+ * @param {number} end_line 1-based, inclusive.
+ * @returns {Promise<BlameLine[]>}
+ */
+export async function get_blame(repo_path, file_path, start_line, end_line) {
+  return parse_blame(await run_git(['blame', '--porcelain', '-L', `${start_line},${end_line}`, '--', file_path], repo_path));
+}
+
+/**
+ * Blame lines as text, one source line per row with its commit, date and author in front.
+ * Uncommitted lines show `0000000`.
+ * @param {BlameLine[]} lines
+ * @returns {string} e.g. `1a2b3c4 2024-05-01 Ada Lovelace  12 | return total;`
+ */
+export function format_blame(lines) {
+  const author_width = Math.max(0, ...lines.map((line) => line.author.length));
+  const line_width = Math.max(0, ...lines.map((line) => String(line.line).length));
+  return lines.map((line) => [
+    line.hash.slice(0, 7),
+    line.date.padEnd(10),
+    line.author.padEnd(author_width),
+    String(line.line).padStart(line_width),
+    `| ${line.content}`,
+  ].join(' ')).join('\n');
+}
+
+/**
+ * The file path and ref that VS Code's Git extension encodes as JSON in the query of a `git:`
+ * URI, e.g. `{"path":"/repo/a.js","ref":"~"}`. The ref is `~` for the index, `HEAD` or a commit
+ * otherwise.
+ * @param {string} query Raw or percent-encoded.
+ * @returns {{path: string, ref: string}|null} `null` when the query is not in that form.
+ */
+export function parse_git_uri_query(query) {
+  try {
+    let parsed;
+    try {
+      parsed = JSON.parse(query);
+    } catch (error) {
+      parsed = JSON.parse(decodeURIComponent(query));
+    }
+    if (!parsed || typeof parsed.path !== 'string') return null;
+    return { path: parsed.path, ref: typeof parsed.ref === 'string' ? parsed.ref : '' };
+  } catch (error) {
+    return null;
+  }
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "branch_base_is_never_read_as_an_option",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-git-'));
+        await run_git(['init', '-q'], this.root);
+        await run_git(['-c', 'user.name=Ada', '-c', 'user.email=ada@example.com', 'commit', '-q', '--allow-empty', '-m', 'Start'], this.root);
+        this.output = path.join(this.root, 'written.txt');
+      },
+      assert: async function (a) {
+        await a.rejects(get_changed_files(this.root, 'branch', `--output=${this.output}`));
+        const written = fs.existsSync(this.output);
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+        a.equal(written, false);
+      },
+    },
+    {
+      name: "parse_name_status_handles_renames_and_spaces",
+      before: async function () {
+        this.output = 'M\0src/a.js\0R087\0old name.js\0new name.js\0D\0gone.txt\0A\0added.md\0';
+      },
+      assert: async function (a) {
+        a.deepEqual(parse_name_status(this.output), [
+          { status: 'M', path: 'src/a.js' },
+          { status: 'R', old_path: 'old name.js', path: 'new name.js' },
+          { status: 'D', path: 'gone.txt' },
+          { status: 'A', path: 'added.md' },
+        ]);
+        a.deepEqual(parse_name_status(''), []);
+      },
+    },
+    {
+      name: "parse_log_and_blame_output",
+      before: async function () {
+        this.log = 'abc1234\x1fAda Lovelace\x1f2024-05-01\x1fFix totals\nbcd2345\x1fAlan\x1f2024-04-30\x1f\n';
+        const first = 'a'.repeat(40);
+        const uncommitted = '0'.repeat(40);
+        this.blame = [
+          `${first} 10 12 2`,
+          'author Ada Lovelace',
+          'author-time 1714521600',
+          'summary Fix totals',
+          'filename src/a.js',
+          '\tconst total = 1;',
+          `${first} 11 13`,
+          '\treturn total;',
+          `${uncommitted} 14 14 1`,
+          'author Not Committed Yet',
+          'author-time 1714608000',
+          'filename src/a.js',
+          '\t// todo',
+          '',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        a.deepEqual(parse_log(this.log), [
+          { hash: 'abc1234', author: 'Ada Lovelace', date: '2024-05-01', subject: 'Fix totals' },
+          { hash: 'bcd2345', author: 'Alan', date: '2024-04-30', subject: '' },
+        ]);
+        const lines = parse_blame(this.blame);
+        a.deepEqual(lines.map((line) => [line.hash.slice(0, 3), line.author, line.line]), [
+          ['aaa', 'Ada Lovelace', 12],
+          ['aaa', 'Ada Lovelace', 13],
+          ['000', 'Not Committed Yet', 14],
+        ]);
+        a.equal(format_blame(lines), [
+          'aaaaaaa 2024-05-01 Ada Lovelace      12 | const total = 1;',
+          'aaaaaaa 2024-05-01 Ada Lovelace      13 | return total;',
+          '0000000 2024-05-02 Not Committed Yet 14 | // todo',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "parse_git_uri_query_tolerates_non_json_queries",
+      before: async function () {},
+      assert: async function (a) {
+        a.deepEqual(parse_git_uri_query('{"path":"/repo/a b.js","ref":"~"}'), { path: '/repo/a b.js', ref: '~' });
+        a.deepEqual(parse_git_uri_query('%7B%22path%22%3A%22%2Frepo%2Fa.js%22%2C%22ref%22%3A%22HEAD%22%7D'), { path: '/repo/a.js', ref: 'HEAD' });
+        a.equal(parse_git_uri_query('version=2&ref=main'), null);
+        a.equal(parse_git_uri_query('%E0%A4%A'), null);
+        a.equal(parse_git_uri_query(''), null);
+      },
+    },
+  ],
+};
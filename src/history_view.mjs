@@ -0,0 +1,86 @@
+import * as vscode from 'vscode';
+import { describe_history_entry } from './bundle_history.mjs';
+
+/**
+ * Sidebar list of delivered bundles, most recent first. Each entry shows the command that
+ * produced it and when; the tooltip lists its source, size and files.
+ */
+
+export const HISTORY_SCHEME = 'smart-context-history';
+
+const HISTORY_EXTENSIONS = { markdown: 'md', xml: 'xml', json: 'json' };
+const TOOLTIP_FILE_LIMIT = 20;
+
+/**
+ * Read-only URI of an entry's bundle, for opening it or comparing it with another.
+ * @param {import('./bundle_history.mjs').HistoryEntry} entry
+ * @returns {vscode.Uri}
+ */
+export function get_history_uri(entry) {
+  const stamp = new Date(entry.created_at).toISOString().replace(/[:.]/g, '-');
+  return vscode.Uri.from({
+    scheme: HISTORY_SCHEME,
+    path: `/${stamp}.${HISTORY_EXTENSIONS[entry.format] || 'md'}`,
+    query: entry.id,
+  });
+}
+
+export class BundleHistoryProvider {
+  /**
+   * @param {() => import('./bundle_history.mjs').HistoryEntry[]} get_entries Most recent first.
+   * @param {() => boolean} is_enabled
+   */
+  constructor(get_entries, is_enabled) {
+    this.get_entries = get_entries;
+    this.is_enabled = is_enabled;
+    this.view = null;
+    this.change_emitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.change_emitter.event;
+  }
+
+  /**
+   * @param {vscode.TreeView<import('./bundle_history.mjs').HistoryEntry>} view
+   */
+  attach(view) {
+    this.view = view;
+    this.update_message();
+  }
+
+  refresh() {
+    this.change_emitter.fire();
+    this.update_message();
+  }
+
+  /**
+   * @param {import('./bundle_history.mjs').HistoryEntry} [entry]
+   * @returns {import('./bundle_history.mjs').HistoryEntry[]}
+   */
+  getChildren(entry) {
+    return entry ? [] : this.get_entries();
+  }
+
+  /**
+   * @param {import('./bundle_history.mjs').HistoryEntry} entry
+   * @returns {vscode.TreeItem}
+   */
+  getTreeItem(entry) {
+    const item = new vscode.TreeItem(entry.command, vscode.TreeItemCollapsibleState.None);
+    item.id = entry.id;
+    item.contextValue = 'historyEntry';
+    item.iconPath = new vscode.ThemeIcon('history');
+    item.description = new Date(entry.created_at).toLocaleString();
+    const shown = entry.files.slice(0, TOOLTIP_FILE_LIMIT);
+    const more = entry.files.length - shown.length;
+    const heading = [entry.command, entry.source ? `From: ${entry.source}` : '', describe_history_entry(entry)].filter(Boolean);
+    item.tooltip = [...heading, '', ...shown, ...(more > 0 ? [`…and ${more} more`] : [])].join('\n');
+    item.command = { command: 'smartContext.history.open', title: 'Open Bundle', arguments: [entry] };
+    return item;
+  }
+
+  update_message() {
+    if (!this.view) return;
+    this.view.message = this.is_enabled()
+      ? undefined
+      : 'Bundle history is turned off (smartContext.historyEnabled).';
+  }
+}
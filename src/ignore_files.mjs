@@ -0,0 +1,123 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import ignore from 'ignore';
+
+/**
+ * Ignore-file helpers for the `smart-context` CLI, in the `IgnoreUtils` shape that
+ * `context_core.mjs` expects.
+ *
+ * A folder's rules are the patterns in its own `.gitignore` and `.scignore`, plus the
+ * patterns from those files in parent folders up to the repository root that match at any
+ * depth (no `/` before the end, e.g. `node_modules` or `*.log`). Patterns anchored to a parent
+ * folder, like `/dist` or `src/gen/`, can't be rebased onto the walked folder and are left out.
+ */
+
+export const ignore_file_names = ['.gitignore', '.scignore'];
+
+const TEXT_SAMPLE_SIZE = 8000;
+const matchers = new WeakMap();
+
+/**
+ * Patterns from the ignore files that apply to a folder, parent folders first so the
+ * folder's own patterns win.
+ * @param {string} folder_path
+ * @returns {string[]}
+ */
+export function load_ignore_patterns(folder_path) {
+  const folder = path.resolve(folder_path);
+  const levels = [];
+  for (let dir = folder; ; dir = path.dirname(dir)) {
+    const patterns = ignore_file_names.flatMap((name) => read_ignore_file(path.join(dir, name)));
+    levels.unshift(dir === folder ? patterns : patterns.filter((pattern) => !/\/./.test(pattern.replace(/^!/, ''))));
+    if (fs.existsSync(path.join(dir, '.git')) || path.dirname(dir) === dir) break;
+  }
+  return levels.flat();
+}
+
+/**
+ * @param {string} file_path
+ * @returns {string[]} Non-empty, non-comment lines; empty when the file is missing.
+ */
+function read_ignore_file(file_path) {
+  let content;
+  try {
+    content = fs.readFileSync(file_path, 'utf8');
+  } catch (error) {
+    return [];
+  }
+  return content.split(/\r?\n/).map((line) => line.replace(/\s+$/, '')).filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Whether a path relative to the walked folder matches the patterns, in `.gitignore` syntax.
+ * @param {string} relative_path
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+export function should_ignore(relative_path, patterns) {
+  if (!matchers.has(patterns)) matchers.set(patterns, ignore().add(patterns));
+  return matchers.get(patterns).ignores(relative_path.replace(/\\/g, '/'));
+}
+
+/**
+ * Whether a file looks like text: its first few kilobytes contain no NUL byte.
+ * @param {string} full_path
+ * @returns {boolean}
+ */
+export function is_text_file(full_path) {
+  let fd;
+  try {
+    fd = fs.openSync(full_path, 'r');
+    const buffer = Buffer.alloc(TEXT_SAMPLE_SIZE);
+    const bytes_read = fs.readSync(fd, buffer, 0, TEXT_SAMPLE_SIZE, 0);
+    return !buffer.subarray(0, bytes_read).includes(0);
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "ignore_patterns_come_from_the_folder_and_its_parents",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-ignore-'));
+        await fs.promises.mkdir(path.join(this.root, '.git'));
+        await fs.promises.mkdir(path.join(this.root, 'app'));
+        await fs.promises.writeFile(path.join(this.root, '.gitignore'), '# deps\nnode_modules\n/dist\nsrc/gen/\n*.log\n');
+        await fs.promises.writeFile(path.join(this.root, 'app', '.gitignore'), '!keep.log\n');
+        await fs.promises.writeFile(path.join(this.root, 'app', '.scignore'), 'fixtures/\n');
+      },
+      assert: async function (a) {
+        const patterns = load_ignore_patterns(path.join(this.root, 'app'));
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+
+        a.deepEqual(patterns, ['node_modules', '*.log', '!keep.log', 'fixtures/']);
+        a.equal(should_ignore('node_modules', patterns), true);
+        a.equal(should_ignore('logs/debug.log', patterns), true);
+        a.equal(should_ignore('keep.log', patterns), false);
+        a.equal(should_ignore('fixtures/a.json', patterns), true);
+        a.equal(should_ignore('dist/app.js', patterns), false);
+      },
+    },
+    {
+      name: "text_files_have_no_nul_bytes",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-ignore-'));
+        await fs.promises.writeFile(path.join(this.root, 'a.js'), 'const a = "é";\n');
+        await fs.promises.writeFile(path.join(this.root, 'empty.txt'), '');
+        await fs.promises.writeFile(path.join(this.root, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+      },
+      assert: async function (a) {
+        const results = ['a.js', 'empty.txt', 'logo.png', 'missing.txt'].map((name) => is_text_file(path.join(this.root, name)));
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+        a.deepEqual(results, [true, true, false, false]);
+      },
+    },
+  ],
+};
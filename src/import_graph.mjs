@@ -0,0 +1,298 @@
+import * as path from 'path';
+import { parse_source } from './strip_logic_from_content.mjs';
+
+/**
+ * Follow the local imports of a JavaScript/TypeScript file.
+ *
+ * - Relative `import`, `export ... from`, `require()` and dynamic `import()` specifiers are resolved
+ *   with Node/TypeScript rules: exact path, added extensions, `.js` written for a `.ts` source,
+ *   and `index` files.
+ * - Bare specifiers are resolved only through `tsconfig.json`/`jsconfig.json` `paths` aliases.
+ *   Packages are never followed.
+ * - File access goes through the `read_file`/`exists` callbacks so the module stays free of
+ *   editor APIs.
+ */
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+const INCLUDED_EXTENSIONS = new Set([...SOURCE_EXTENSIONS, '.json', '.css', '.scss', '.sass', '.less']);
+const JS_TO_TS_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+const FALLBACK_IMPORT_PATTERN = /\b(?:import|export)\s[^'";]*?\bfrom\s*['"]([^'"\n]+)['"]|\bimport\s*\(?\s*['"]([^'"\n]+)['"]|\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+
+/**
+ * Module specifiers imported by a file, in source order and without duplicates.
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function find_import_specifiers(content) {
+  const ast = parse_source(content);
+  const specifiers = [];
+  if (ast) {
+    collect_specifiers(ast.program, specifiers);
+  } else {
+    for (const match of content.matchAll(FALLBACK_IMPORT_PATTERN)) {
+      specifiers.push(match[1] || match[2] || match[3]);
+    }
+  }
+  return [...new Set(specifiers)];
+}
+
+function collect_specifiers(node, specifiers) {
+  if (!node || typeof node.type !== 'string') return;
+  switch (node.type) {
+    case 'ImportDeclaration':
+    case 'ExportNamedDeclaration':
+    case 'ExportAllDeclaration':
+      if (node.source) specifiers.push(node.source.value);
+      break;
+    case 'TSImportEqualsDeclaration':
+      if (node.moduleReference.type === 'TSExternalModuleReference') specifiers.push(node.moduleReference.expression.value);
+      break;
+    case 'CallExpression': {
+      const is_import = node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require');
+      const [argument] = node.arguments;
+      if (is_import && argument && argument.type === 'StringLiteral') specifiers.push(argument.value);
+      break;
+    }
+  }
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key.endsWith('Comments')) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) collect_specifiers(child, specifiers);
+    } else if (value && typeof value === 'object') {
+      collect_specifiers(value, specifiers);
+    }
+  }
+}
+
+/**
+ * Read the `paths` aliases from the nearest `tsconfig.json` or `jsconfig.json` above `start_dir`.
+ * Comments and trailing commas are tolerated; `extends` is not followed.
+ * @param {string} start_dir
+ * @param {Object} io
+ * @param {(file_path: string) => string} io.read_file
+ * @param {(file_path: string) => boolean} io.exists
+ * @returns {{base_url: string, paths: Object<string, string[]>}|null}
+ */
+export function load_tsconfig_paths(start_dir, { read_file, exists }) {
+  let dir = start_dir;
+  for (;;) {
+    for (const name of ['tsconfig.json', 'jsconfig.json']) {
+      const config_path = path.join(dir, name);
+      if (!exists(config_path)) continue;
+      try {
+        const config = JSON.parse(strip_json_comments(read_file(config_path)));
+        const options = config.compilerOptions || {};
+        if (!options.paths) return null;
+        return { base_url: path.resolve(dir, options.baseUrl || '.'), paths: options.paths };
+      } catch (error) {
+        return null;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function strip_json_comments(text) {
+  return text
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, closing) => string || closing);
+}
+
+/**
+ * Resolve one import specifier to a local file.
+ * @param {string} specifier
+ * @param {string} from_file Absolute path of the importing file.
+ * @param {Object} io
+ * @param {(file_path: string) => boolean} io.exists Must return `false` for directories.
+ * @param {{base_url: string, paths: Object<string, string[]>}|null} [io.tsconfig]
+ * @returns {string|null}
+ */
+export function resolve_import(specifier, from_file, { exists, tsconfig = null }) {
+  if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..') {
+    return resolve_file(path.resolve(path.dirname(from_file), specifier), exists);
+  }
+  if (!tsconfig) return null;
+  for (const [pattern, targets] of Object.entries(tsconfig.paths)) {
+    const wildcard = match_path_pattern(pattern, specifier);
+    if (wildcard === null) continue;
+    for (const target of targets) {
+      const resolved = resolve_file(path.resolve(tsconfig.base_url, target.replace('*', wildcard)), exists);
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+/**
+ * The part of `specifier` matched by the `*` in a tsconfig paths pattern, or `null`.
+ */
+function match_path_pattern(pattern, specifier) {
+  const star = pattern.indexOf('*');
+  if (star === -1) return pattern === specifier ? '' : null;
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) return null;
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+function resolve_file(base, exists) {
+  const extension = path.extname(base);
+  const candidates = [base];
+  for (const ts_extension of JS_TO_TS_EXTENSIONS[extension] || []) {
+    candidates.push(base.slice(0, -extension.length) + ts_extension);
+  }
+  candidates.push(...SOURCE_EXTENSIONS.map((ext) => base + ext));
+  candidates.push(...SOURCE_EXTENSIONS.map((ext) => path.join(base, 'index' + ext)));
+  for (const candidate of candidates) {
+    if (!INCLUDED_EXTENSIONS.has(path.extname(candidate)) || candidate.includes(`${path.sep}node_modules${path.sep}`)) continue;
+    if (exists(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Collect a file and its local imports, breadth first, up to `max_depth` levels of imports.
+ * @param {string} entry_file Absolute path.
+ * @param {Object} opts
+ * @param {number} [opts.max_depth=3] `1` follows only the entry file's direct imports.
+ * @param {(file_path: string) => string} opts.read_file
+ * @param {(file_path: string) => boolean} opts.exists Must return `false` for directories.
+ * @param {{base_url: string, paths: Object<string, string[]>}|null} [opts.tsconfig]
+ * @returns {{files: string[], root: ImportNode, unresolved: Array<{specifier: string, from: string}>}}
+ *   `files` starts with the entry file. `unresolved` lists relative specifiers that did not resolve.
+ *
+ * @typedef {{file: string, children: ImportNode[], repeated?: boolean, truncated?: boolean}} ImportNode
+ */
+export function collect_import_graph(entry_file, { max_depth = 3, read_file, exists, tsconfig = null }) {
+  const root = { file: entry_file, children: [] };
+  const seen = new Set([entry_file]);
+  const unresolved = [];
+  let level = [{ node: root, depth: 0 }];
+
+  while (level.length) {
+    const next_level = [];
+    for (const { node, depth } of level) {
+      if (!SOURCE_EXTENSIONS.includes(path.extname(node.file))) continue;
+      const specifiers = find_import_specifiers(read_file(node.file));
+      for (const specifier of specifiers) {
+        const resolved = resolve_import(specifier, node.file, { exists, tsconfig });
+        if (!resolved) {
+          if (specifier.startsWith('.')) unresolved.push({ specifier, from: node.file });
+          continue;
+        }
+        if (depth >= max_depth) {
+          node.truncated = true;
+          continue;
+        }
+        const child = { file: resolved, children: [] };
+        node.children.push(child);
+        if (seen.has(resolved)) {
+          child.repeated = true;
+          continue;
+        }
+        seen.add(resolved);
+        next_level.push({ node: child, depth: depth + 1 });
+      }
+    }
+    level = next_level;
+  }
+
+  return { files: [...seen], root, unresolved };
+}
+
+/**
+ * Render an import graph as an indented tree.
+ * Files already shown elsewhere are marked `(see above)`; files whose imports were not
+ * followed because of the depth limit are marked `(depth limit)`.
+ * @param {ImportNode} root
+ * @param {(file_path: string) => string} [display] Formats each path, e.g. relative to the workspace.
+ * @returns {string}
+ */
+export function format_import_tree(root, display = (file_path) => file_path) {
+  const describe = (node) => display(node.file) + (node.repeated ? ' (see above)' : node.truncated ? ' (depth limit)' : '');
+  const lines = [describe(root)];
+  const walk = (node, prefix) => {
+    node.children.forEach((child, index) => {
+      const is_last = index === node.children.length - 1;
+      lines.push(`${prefix}${is_last ? '└── ' : '├── '}${describe(child)}`);
+      walk(child, prefix + (is_last ? '    ' : '│   '));
+    });
+  };
+  walk(root, '');
+  return lines.join('\n') + '\n';
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "finds_import_require_and_reexport_specifiers",
+      before: async function () {
+        this.input = [
+          "import fs from 'fs';",
+          "import type { A } from './types';",
+          "export * from './all.js';",
+          "export { b } from \"./b\";",
+          "const c = require('./c');",
+          "const lazy = () => import('./lazy');",
+          "import d = require('./d');",
+          "// import './commented';",
+          "const text = \"import x from './not-real'\";",
+        ].join('\n');
+      },
+      assert: async function (a) {
+        a.deepEqual(find_import_specifiers(this.input), ['fs', './types', './all.js', './b', './c', './lazy', './d']);
+      },
+    },
+    {
+      name: "resolves_extensions_index_files_and_tsconfig_paths",
+      before: async function () {
+        this.files = new Set(['/repo/src/util.ts', '/repo/src/lib/index.js', '/repo/src/shared/log.ts', '/repo/src/data.json']);
+        this.exists = (file_path) => this.files.has(file_path);
+      },
+      assert: async function (a) {
+        const from = '/repo/src/app.ts';
+        const tsconfig = { base_url: '/repo', paths: { '@shared/*': ['src/shared/*'] } };
+        a.equal(resolve_import('./util', from, { exists: this.exists }), '/repo/src/util.ts');
+        a.equal(resolve_import('./util.js', from, { exists: this.exists }), '/repo/src/util.ts');
+        a.equal(resolve_import('./lib', from, { exists: this.exists }), '/repo/src/lib/index.js');
+        a.equal(resolve_import('./data.json', from, { exists: this.exists }), '/repo/src/data.json');
+        a.equal(resolve_import('@shared/log', from, { exists: this.exists, tsconfig }), '/repo/src/shared/log.ts');
+        a.equal(resolve_import('@shared/log', from, { exists: this.exists }), null);
+        a.equal(resolve_import('react', from, { exists: this.exists, tsconfig }), null);
+      },
+    },
+    {
+      name: "collects_graph_with_depth_limit_and_cycles",
+      before: async function () {
+        this.sources = {
+          '/p/main.js': "import { a } from './a.js';\nimport { b } from './b.js';\nimport './missing.js';",
+          '/p/a.js': "import { b } from './b.js';\nexport const a = 1;",
+          '/p/b.js': "import { c } from './c.js';\nimport { main } from './main.js';",
+          '/p/c.js': "import { d } from './d.js';",
+          '/p/d.js': "export const d = 4;",
+        };
+        this.io = { read_file: (file_path) => this.sources[file_path], exists: (file_path) => file_path in this.sources };
+      },
+      assert: async function (a) {
+        const graph = collect_import_graph('/p/main.js', { max_depth: 2, ...this.io });
+        a.deepEqual(graph.files, ['/p/main.js', '/p/a.js', '/p/b.js', '/p/c.js']);
+        a.deepEqual(graph.unresolved, [{ specifier: './missing.js', from: '/p/main.js' }]);
+        a.equal(format_import_tree(graph.root, (file_path) => path.basename(file_path)), [
+          'main.js',
+          '├── a.js',
+          '│   └── b.js (see above)',
+          '└── b.js',
+          '    ├── c.js (depth limit)',
+          '    └── main.js (see above)',
+          '',
+        ].join('\n'));
+      },
+    },
+  ],
+};
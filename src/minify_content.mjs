@@ -0,0 +1,530 @@
+/**
+ * Language-aware minification for copied files.
+ *
+ * The language is picked from the file extension (or name, for `Dockerfile`/`Makefile`):
+ * - C-like languages (JS/TS, Java, Go, Rust, C/C++, C#, CSS...) and hash-comment languages
+ *   with quoted strings (Python, TOML, R) are scanned token by token: comments are removed
+ *   only outside string, template and regex literals, whitespace is collapsed, and multi-line
+ *   literals are kept byte for byte. Code inside template `${...}` substitutions is scanned
+ *   like any other code.
+ * - Line-oriented formats (YAML, shell, Makefile, Dockerfile, Ruby, INI) only lose
+ *   comment and blank lines; YAML block scalars and shell heredocs are left untouched.
+ * - Markup loses `<!-- -->` comments and blank lines.
+ * - Indentation is kept wherever it carries meaning (Python, YAML, Makefile, shell).
+ * - Anything else (Markdown, plain text, unknown extensions) is returned unchanged.
+ * Directives that look like comments (`#!` shebangs, `//go:build`, `/// <reference>`,
+ * Python encoding lines) are preserved.
+ */
+
+const C_LIKE = {
+  engine: 'scanner',
+  line_comment: '//',
+  block_comment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  keep_comment: /^(\/\/go:|\/\/\s*\+build|\/\/\/\s*<reference)/,
+};
+
+const PROFILES = {
+  js: { ...C_LIKE, template_literals: true, regex_literals: true },
+  java: { ...C_LIKE, text_blocks: true },
+  go: { ...C_LIKE, quotes: ['"', "'", '`'], raw_backticks: true },
+  rust: { ...C_LIKE, quotes: ['"'], char_literals: true },
+  c: { ...C_LIKE },
+  css: { ...C_LIKE, line_comment: null },
+  scss: { ...C_LIKE, protocol_safe_line_comments: true },
+  json: { ...C_LIKE, quotes: ['"'] },
+  python: {
+    engine: 'scanner',
+    line_comment: '#',
+    block_comment: null,
+    quotes: ['"', "'"],
+    triple_quotes: true,
+    keep_indentation: true,
+    keep_comment: /^#!|^#.*coding[:=]/,
+  },
+  toml: { engine: 'scanner', line_comment: '#', block_comment: null, quotes: ['"', "'"], triple_quotes: true },
+  r: { engine: 'scanner', line_comment: '#', block_comment: null, quotes: ['"', "'"] },
+  yaml: { engine: 'lines', comment_prefixes: ['#'], yaml: true },
+  shell: { engine: 'lines', comment_prefixes: ['#'], heredocs: true },
+  ruby: { engine: 'lines', comment_prefixes: ['#'], heredocs: true },
+  make: { engine: 'lines', comment_prefixes: ['#'] },
+  ini: { engine: 'lines', comment_prefixes: ['#', ';'] },
+  markup: { engine: 'markup' },
+};
+
+const PROFILE_BY_EXTENSION = {
+  js: 'js', mjs: 'js', cjs: 'js', jsx: 'js', ts: 'js', mts: 'js', cts: 'js', tsx: 'js',
+  java: 'java', kt: 'java', kts: 'java', scala: 'java', groovy: 'java', dart: 'java', swift: 'java', cs: 'java',
+  go: 'go',
+  rs: 'rust',
+  c: 'c', h: 'c', cpp: 'c', hpp: 'c', cc: 'c', cxx: 'c', m: 'c', proto: 'c',
+  css: 'css',
+  scss: 'scss', less: 'scss',
+  json: 'json', jsonc: 'json',
+  py: 'python', pyi: 'python',
+  toml: 'toml',
+  r: 'r',
+  yml: 'yaml', yaml: 'yaml',
+  sh: 'shell', bash: 'shell', zsh: 'shell',
+  rb: 'ruby',
+  mk: 'make',
+  ini: 'ini', cfg: 'ini', conf: 'ini', properties: 'ini',
+  html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', svelte: 'markup',
+};
+
+const PROFILE_BY_FILE_NAME = {
+  dockerfile: 'shell',
+  makefile: 'make',
+  gnumakefile: 'make',
+};
+
+/**
+ * Minification profile name for a file, or null when minifying it would be unsafe.
+ * @param {string} file_path
+ * @returns {string|null}
+ */
+export function get_minify_profile(file_path = '') {
+  const file_name = file_path.split(/[\\/]/).pop().toLowerCase();
+  if (PROFILE_BY_FILE_NAME[file_name]) return PROFILE_BY_FILE_NAME[file_name];
+  const match = /\.([^.]+)$/.exec(file_name);
+  return (match && PROFILE_BY_EXTENSION[match[1]]) || null;
+}
+
+/**
+ * Minify file content by removing comments and extraneous whitespace, using rules for the
+ * file's language. Files without a safe profile are returned unchanged.
+ * @param {string} content
+ * @param {string} file_path Used to pick the language.
+ * @returns {string}
+ */
+export function minify_content(content, file_path) {
+  const profile_name = get_minify_profile(file_path);
+  if (!profile_name) return content;
+  const profile = PROFILES[profile_name];
+  content = content.replace(/\r\n/g, '\n');
+  if (profile.engine === 'scanner') return minify_with_scanner(content, profile);
+  if (profile.engine === 'lines') return minify_lines(content, profile);
+  return minify_markup(content);
+}
+
+function minify_with_scanner(content, profile) {
+  const lines = [];
+  let current = '';
+  let code_tail = '';
+  let i = 0;
+  // Brace depth inside each open template substitution, innermost last.
+  const template_depths = [];
+
+  const finish_line = () => {
+    const line = current.replace(/[ \t]+$/, '');
+    if (line.trim() !== '') lines.push(line);
+    current = '';
+  };
+  const append_code = (ch) => {
+    current += ch;
+    if (!/\s/.test(ch)) code_tail = (code_tail + ch).slice(-16);
+  };
+  const append_literal = (literal) => {
+    const parts = literal.split('\n');
+    current += parts[0];
+    for (const part of parts.slice(1)) {
+      lines.push(current);
+      current = part;
+    }
+    code_tail = (code_tail + '"').slice(-16);
+  };
+  const at_line_start = () => current.trim() === '';
+  // Copy template text from `start` up to the closing backtick or the next `${`.
+  const read_template = (start, from) => {
+    const { end, substitution } = read_template_chunk(content, from);
+    append_literal(content.slice(start, end));
+    if (substitution) {
+      template_depths.push(0);
+      code_tail = (code_tail + '{').slice(-16);
+    }
+    return end;
+  };
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (ch === '\n') {
+      finish_line();
+      i++;
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t') {
+      let j = i;
+      while (content[j] === ' ' || content[j] === '\t') j++;
+      if (at_line_start()) {
+        if (profile.keep_indentation) current += content.slice(i, j);
+      } else if (!/[ \t]$/.test(current)) {
+        current += ' ';
+      }
+      i = j;
+      continue;
+    }
+
+    if (profile.line_comment && content.startsWith(profile.line_comment, i)
+      && !(profile.protocol_safe_line_comments && content[i - 1] === ':')) {
+      let end = content.indexOf('\n', i);
+      if (end === -1) end = content.length;
+      const comment = content.slice(i, end);
+      const is_first_line = lines.length === 0 && at_line_start();
+      if (profile.keep_comment && profile.keep_comment.test(comment) && (is_first_line || !comment.startsWith('#!'))) {
+        current += comment;
+      }
+      i = end;
+      continue;
+    }
+
+    if (profile.block_comment && content.startsWith(profile.block_comment[0], i)) {
+      const close = content.indexOf(profile.block_comment[1], i + profile.block_comment[0].length);
+      const end = close === -1 ? content.length : close + profile.block_comment[1].length;
+      // Keep line breaks so code on either side of a multi-line comment stays on separate lines.
+      const newlines = (content.slice(i, end).match(/\n/g) || []).length;
+      for (let n = 0; n < newlines; n++) finish_line();
+      if (!at_line_start() && !/[ \t]$/.test(current)) current += ' ';
+      i = end;
+      continue;
+    }
+
+    if (profile.template_literals && ch === '`') {
+      i = read_template(i, i + 1);
+      continue;
+    }
+
+    if (template_depths.length && (ch === '{' || ch === '}')) {
+      const depth = template_depths.length - 1;
+      if (ch === '}' && template_depths[depth] === 0) {
+        template_depths.pop();
+        i = read_template(i, i + 1);
+        continue;
+      }
+      template_depths[depth] += ch === '{' ? 1 : -1;
+    }
+
+    const literal_end = read_literal(content, i, profile, code_tail);
+    if (literal_end > i) {
+      append_literal(content.slice(i, literal_end));
+      i = literal_end;
+      continue;
+    }
+
+    append_code(ch);
+    i++;
+  }
+  finish_line();
+  return lines.join('\n');
+}
+
+function read_literal(content, i, profile, code_tail) {
+  const ch = content[i];
+  if (profile.triple_quotes && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+    return read_until_unescaped(content, i + 3, content.slice(i, i + 3));
+  }
+  if (profile.text_blocks && content.startsWith('"""', i)) {
+    return read_until_unescaped(content, i + 3, '"""');
+  }
+  if (profile.char_literals && ch === "'") {
+    const match = /^'(?:\\(?:u\{[0-9a-fA-F]+\}|x[0-9a-fA-F]{2}|.)|[^\\'\n])'/.exec(content.slice(i, i + 16));
+    return match ? i + match[0].length : i;
+  }
+  if (profile.char_literals && ch === 'r' && /^r#*"/.test(content.slice(i, i + 8)) && !/\w/.test(content[i - 1] || '')) {
+    const hashes = /^r(#*)"/.exec(content.slice(i, i + 260))[1];
+    const end = content.indexOf(`"${hashes}`, i + hashes.length + 2);
+    return end === -1 ? content.length : end + hashes.length + 1;
+  }
+  if (profile.quotes.includes(ch)) {
+    if (ch === '`' && profile.raw_backticks) {
+      const end = content.indexOf('`', i + 1);
+      return end === -1 ? content.length : end + 1;
+    }
+    return read_until_unescaped(content, i + 1, ch, ch !== '`');
+  }
+  if (profile.regex_literals && ch === '/' && starts_regex(code_tail)) {
+    return read_regex(content, i);
+  }
+  return i;
+}
+
+function read_until_unescaped(content, from, terminator, stop_at_newline = false) {
+  let j = from;
+  while (j < content.length) {
+    if (content[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (content.startsWith(terminator, j)) return j + terminator.length;
+    if (stop_at_newline && content[j] === '\n') return j;
+    j++;
+  }
+  return content.length;
+}
+
+/**
+ * Read template literal text up to its closing backtick or the next `${` substitution.
+ * @returns {{end: number, substitution: boolean}} `end` is just past the backtick or `${`.
+ */
+function read_template_chunk(content, from) {
+  let j = from;
+  while (j < content.length) {
+    if (content[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (content[j] === '`') return { end: j + 1, substitution: false };
+    if (content.startsWith('${', j)) return { end: j + 2, substitution: true };
+    j++;
+  }
+  return { end: content.length, substitution: false };
+}
+
+/**
+ * Whether a `/` following the given code starts a regex literal rather than a division.
+ */
+function starts_regex(code_tail) {
+  const tail = code_tail.trimEnd();
+  if (tail === '') return true;
+  if (/[(,=:[!&|?{};+\-*%<>~^]$/.test(tail)) return true;
+  return /(^|[^\w$])(return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/.test(tail);
+}
+
+function read_regex(content, i) {
+  let j = i + 1;
+  let in_class = false;
+  while (j < content.length) {
+    const ch = content[j];
+    if (ch === '\n') return i; // not a regex after all
+    if (ch === '\\') {
+      j += 2;
+      continue;
+    }
+    if (ch === '[') in_class = true;
+    else if (ch === ']') in_class = false;
+    else if (ch === '/' && !in_class) {
+      j++;
+      while (/[a-z]/i.test(content[j] || '')) j++;
+      return j;
+    }
+    j++;
+  }
+  return i;
+}
+
+function minify_lines(content, profile) {
+  const input = content.split('\n');
+  const output = [];
+  let heredoc_end = null;
+  let block_scalar_indent = null;
+
+  for (const [index, line] of input.entries()) {
+    const trimmed = line.trim();
+    const indent = line.length - line.trimStart().length;
+
+    if (heredoc_end !== null) {
+      output.push(line);
+      if (trimmed === heredoc_end) heredoc_end = null;
+      continue;
+    }
+    if (block_scalar_indent !== null) {
+      if (trimmed === '' || indent > block_scalar_indent) {
+        output.push(line);
+        continue;
+      }
+      block_scalar_indent = null;
+    }
+
+    if (trimmed === '') continue;
+    if (index === 0 && trimmed.startsWith('#!')) {
+      output.push(line);
+      continue;
+    }
+    if (profile.comment_prefixes.some((prefix) => trimmed.startsWith(prefix))) continue;
+
+    let kept = line.replace(/\s+$/, '');
+    if (profile.yaml) {
+      kept = strip_yaml_trailing_comment(kept);
+      if (/(^|[\s:-])[|>][-+0-9]*$/.test(kept.trimEnd())) block_scalar_indent = indent;
+    }
+    if (profile.heredocs) {
+      const heredoc = /<<[-~]?\s*(['"]?)([A-Za-z_]\w*)\1/.exec(kept);
+      if (heredoc) heredoc_end = heredoc[2];
+    }
+    output.push(kept);
+  }
+  // Drop trailing blank lines kept from block scalars at the end of the file
+  while (output.length && output[output.length - 1].trim() === '') output.pop();
+  return output.join('\n');
+}
+
+/**
+ * Remove a trailing ` # comment` from a YAML line, ignoring `#` inside quotes or not preceded by whitespace.
+ */
+function strip_yaml_trailing_comment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s:[{,-]/.test(line[i - 1]))) {
+      quote = ch;
+    } else if (ch === '#' && i > 0 && /\s/.test(line[i - 1])) {
+      return line.slice(0, i).replace(/\s+$/, '');
+    }
+  }
+  return line;
+}
+
+function minify_markup(content) {
+  return content
+    .replace(/<!--(?!\[if)[\s\S]*?-->/g, '')
+    .split('\n')
+    .map((line) => line.replace(/\s+$/, ''))
+    .filter((line) => line.trim() !== '')
+    .join('\n');
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "js_keeps_urls_regexes_and_template_literals",
+      before: async function () {
+        this.input = [
+          '// leading comment',
+          'const url = "https://example.com"; // trailing',
+          "const re = /\\/\\*[\\s\\S]*?\\*\\//g; /* block */",
+          'const ratio = a / b / c;',
+          'const tpl = `line one',
+          '',
+          '    // not a comment`;',
+          '/**',
+          ' * JSDoc',
+          ' */',
+          'function   spaced (  x  ) {',
+          '    return x;',
+          '}',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = minify_content(this.input, 'src/a.mjs');
+        a.equal(output, [
+          'const url = "https://example.com";',
+          "const re = /\\/\\*[\\s\\S]*?\\*\\//g;",
+          'const ratio = a / b / c;',
+          'const tpl = `line one',
+          '',
+          '    // not a comment`;',
+          'function spaced ( x ) {',
+          'return x;',
+          '}',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "js_scans_code_inside_nested_template_substitutions",
+      before: async function () {
+        this.input = [
+          'const s = `a ${ `b // c` } //d`; // real comment',
+          'const t = `x ${',
+          '    value({ key: 1 }) // pick',
+          '}  y  `;',
+          'const u = "a  b";   // after',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = minify_content(this.input, 'src/a.js');
+        a.equal(output, [
+          'const s = `a ${ `b // c` } //d`;',
+          'const t = `x ${',
+          'value({ key: 1 })',
+          '}  y  `;',
+          'const u = "a  b";',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "c_keeps_preprocessor_directives",
+      before: async function () {
+        this.input = '#include <stdio.h>\n#define MAX 10 // limit\nint main() { /* x */ return 0; }\n';
+      },
+      assert: async function (a) {
+        const output = minify_content(this.input, 'main.c');
+        a.equal(output, '#include <stdio.h>\n#define MAX 10\nint main() { return 0; }');
+      },
+    },
+    {
+      name: "python_keeps_indentation_and_strings",
+      before: async function () {
+        this.input = [
+          '#!/usr/bin/env python3',
+          '# module comment',
+          'def f(x):',
+          '    """Doc # not a comment',
+          '',
+          '    more."""',
+          '    y = "#hash"  # comment',
+          '',
+          '    return  y',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = minify_content(this.input, 'tool.py');
+        a.equal(output, [
+          '#!/usr/bin/env python3',
+          'def f(x):',
+          '    """Doc # not a comment',
+          '',
+          '    more."""',
+          '    y = "#hash"',
+          '    return y',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "yaml_keeps_block_scalars_and_quoted_hashes",
+      before: async function () {
+        this.input = [
+          '# config',
+          'name: "a # b"  # trailing',
+          'color: red#blue',
+          'script: |',
+          '  # literal content',
+          '',
+          '  echo hi',
+          'nested:',
+          '  key: value',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = minify_content(this.input, 'ci.yml');
+        a.equal(output, [
+          'name: "a # b"',
+          'color: red#blue',
+          'script: |',
+          '  # literal content',
+          '',
+          '  echo hi',
+          'nested:',
+          '  key: value',
+        ].join('\n'));
+      },
+    },
+    {
+      name: "unsafe_formats_are_unchanged",
+      before: async function () {
+        this.input = '# Heading\n\n    code block\n// text';
+      },
+      assert: async function (a) {
+        a.equal(minify_content(this.input, 'README.md'), this.input);
+        a.equal(minify_content(this.input, 'LICENSE'), this.input);
+      },
+    },
+  ],
+};
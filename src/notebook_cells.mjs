@@ -0,0 +1,129 @@
+/**
+ * Render a notebook (e.g. Jupyter) as readable text for a bundle.
+ *
+ * Cells are numbered in order. Markdown cells are copied as-is; code cells are fenced with their
+ * language. Outputs are optional: text-like outputs are included (long ones are shortened) and
+ * binary ones such as images are replaced by a one-line note.
+ */
+
+const TEXT_OUTPUT_MIMES = [
+  'application/vnd.code.notebook.stdout',
+  'application/vnd.code.notebook.stderr',
+  'text/plain',
+  'text/markdown',
+  'application/json',
+  'text/html',
+];
+
+const ERROR_OUTPUT_MIME = 'application/vnd.code.notebook.error';
+
+/**
+ * @typedef {Object} NotebookCell
+ * @property {'code'|'markdown'} kind
+ * @property {string} language e.g. `python`.
+ * @property {string} source
+ * @property {Array<Array<{mime: string, data: Uint8Array|string}>>} [outputs] One list of
+ *   alternative representations per output.
+ */
+
+/**
+ * @param {NotebookCell[]} cells
+ * @param {Object} [opts]
+ * @param {boolean} [opts.include_outputs=false]
+ * @param {number} [opts.max_output_length=2000] Characters kept from each output; `0` keeps all.
+ * @returns {string} Markdown.
+ */
+export function format_notebook(cells, { include_outputs = false, max_output_length = 2000 } = {}) {
+  return cells.map((cell, index) => {
+    const number = index + 1;
+    if (cell.kind === 'markdown') return `Cell ${number} (markdown):\n${ensure_trailing_newline(cell.source)}`;
+
+    let output = `Cell ${number} (${cell.language || 'code'}):\n${fence(cell.language, cell.source)}`;
+    if (include_outputs) {
+      for (const items of cell.outputs || []) {
+        const text = get_output_text(items);
+        if (text === null) continue;
+        output += `Output:\n${fence('text', shorten(text, max_output_length))}`;
+      }
+    }
+    return output;
+  }).join('\n');
+}
+
+/**
+ * The text of one cell output, preferring plain-text representations.
+ * @param {Array<{mime: string, data: Uint8Array|string}>} items
+ * @returns {string|null} `null` for empty outputs.
+ */
+export function get_output_text(items) {
+  if (!items.length) return null;
+  const error = items.find((item) => item.mime === ERROR_OUTPUT_MIME);
+  if (error) {
+    try {
+      const { name, message, stack } = JSON.parse(decode(error.data));
+      return stack || `${name}: ${message}`;
+    } catch (parse_error) {
+      return decode(error.data);
+    }
+  }
+  for (const mime of TEXT_OUTPUT_MIMES) {
+    const item = items.find((candidate) => candidate.mime === mime);
+    if (item) return decode(item.data);
+  }
+  return `[${items[0].mime} output not included]`;
+}
+
+function decode(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+function shorten(text, max_length) {
+  if (!max_length || text.length <= max_length) return text;
+  return `${text.slice(0, max_length)}\n… (${text.length - max_length} more characters)`;
+}
+
+function fence(language, content) {
+  const longest_run = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const ticks = '`'.repeat(Math.max(3, longest_run + 1));
+  return `${ticks}${language || ''}\n${ensure_trailing_newline(content)}${ticks}\n`;
+}
+
+function ensure_trailing_newline(text) {
+  return text.endsWith('\n') ? text : text + '\n';
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "cells_are_numbered_in_order_without_outputs_by_default",
+      before: async function () {
+        this.cells = [
+          { kind: 'markdown', language: 'markdown', source: '# Load data' },
+          { kind: 'code', language: 'python', source: 'df = load()\ndf.head()', outputs: [[{ mime: 'text/plain', data: '   a  b' }]] },
+        ];
+      },
+      assert: async function (a) {
+        a.equal(format_notebook(this.cells), 'Cell 1 (markdown):\n# Load data\n\nCell 2 (python):\n```python\ndf = load()\ndf.head()\n```\n');
+        a.ok(format_notebook(this.cells, { include_outputs: true }).endsWith('```\nOutput:\n```text\n   a  b\n```\n'));
+      },
+    },
+    {
+      name: "outputs_prefer_text_and_summarize_binary_data",
+      before: async function () {
+        this.encoded = new TextEncoder().encode('hello\n');
+        this.error = JSON.stringify({ name: 'NameError', message: "name 'x' is not defined" });
+      },
+      assert: async function (a) {
+        a.equal(get_output_text([{ mime: 'image/png', data: 'x' }, { mime: 'text/plain', data: '<Figure>' }]), '<Figure>');
+        a.equal(get_output_text([{ mime: 'application/vnd.code.notebook.stdout', data: this.encoded }]), 'hello\n');
+        a.equal(get_output_text([{ mime: 'application/vnd.code.notebook.error', data: this.error }]), "NameError: name 'x' is not defined");
+        a.equal(get_output_text([{ mime: 'image/png', data: 'x' }]), '[image/png output not included]');
+        a.equal(get_output_text([]), null);
+        const cells = [{ kind: 'code', language: 'python', source: 'print(1)', outputs: [[{ mime: 'text/plain', data: 'x'.repeat(30) }]] }];
+        a.ok(format_notebook(cells, { include_outputs: true, max_output_length: 10 }).includes('xxxxxxxxxx\n… (20 more characters)\n'));
+      },
+    },
+  ],
+};
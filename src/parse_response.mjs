@@ -0,0 +1,353 @@
+import * as path from 'path';
+import { format_bundle } from './format_bundle.mjs';
+
+/**
+ * Read files back out of a model's response so they can be applied to the workspace.
+ *
+ * Two shapes are recognised, and can be mixed in one response:
+ * - The markdown bundle format the extension copies: a path line (`/src/a.js`, optionally
+ *   decorated as `**src/a.js**`, `` `src/a.js` ``, `### src/a.js` or `File: src/a.js`), at most one
+ *   label line, then a fenced block holding the file's full new content.
+ * - Unified diffs, fenced or not, with `---`/`+++` headers. A fenced `diff` block under a path
+ *   line may also hold bare `@@` hunks.
+ *
+ * Fenced blocks with no path and no diff (e.g. shell commands or the folder tree) are ignored.
+ */
+
+/**
+ * @typedef {Object} Hunk
+ * @property {number} old_start 1-based line the hunk claims to start at; `0` when unknown.
+ * @property {Array<{type: ' '|'-'|'+', text: string}>} lines
+ */
+
+/**
+ * @typedef {Object} ResponseFile
+ * @property {string} path As written in the response, without diff `a/`/`b/` prefixes.
+ * @property {'content'|'diff'} kind
+ * @property {string} [content] The full new content, for `content`.
+ * @property {Hunk[]} [hunks] For `diff`.
+ * @property {boolean} [is_new] The diff creates the file.
+ * @property {boolean} [is_deleted] The diff deletes the file.
+ */
+
+/**
+ * @param {string} text
+ * @returns {ResponseFile[]} In the order they appear.
+ */
+export function parse_response(text) {
+  const lines = text.split(/\r?\n/);
+  const files = [];
+  let outside = [];
+  let pending = null;
+  const flush_unfenced_diffs = () => {
+    files.push(...parse_unified_diff(outside.join('\n')));
+    outside = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const open = /^(\s*)(`{3,}|~{3,})(.*)$/.exec(line);
+    if (open) {
+      const [, indent, marker, info] = open;
+      const close = new RegExp(`^\\s*${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+      let end = i + 1;
+      while (end < lines.length && !close.test(lines[end])) end++;
+      const body = lines.slice(i + 1, end).map((body_line) => body_line.startsWith(indent) ? body_line.slice(indent.length) : body_line);
+      flush_unfenced_diffs();
+      files.push(...parse_fenced_block(pending?.path ?? null, info.trim(), body.join('\n')));
+      pending = null;
+      i = end;
+      continue;
+    }
+
+    const candidate = parse_path_line(line);
+    if (candidate) {
+      pending = { path: candidate, label_lines: 0 };
+    } else if (pending && line.trim() && ++pending.label_lines > 1) {
+      pending = null;
+    }
+    outside.push(line);
+  }
+
+  flush_unfenced_diffs();
+  return files;
+}
+
+/**
+ * Parse unified diffs for one or more files.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string|null} [opts.default_path] Path for hunks that have no `---`/`+++` header.
+ * @returns {ResponseFile[]}
+ */
+export function parse_unified_diff(text, { default_path = null } = {}) {
+  const lines = text.split(/\r?\n/);
+  const files = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      const old_path = clean_diff_path(line.slice(4));
+      const new_path = clean_diff_path(lines[i + 1].slice(4));
+      current = { path: new_path ?? old_path, kind: 'diff', hunks: [], is_new: old_path === null, is_deleted: new_path === null };
+      files.push(current);
+      i++;
+      continue;
+    }
+
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line) || (/^@@( .*)?$/.test(line) ? [] : null);
+    if (!header) continue;
+    if (!current) {
+      if (!default_path) continue;
+      current = { path: default_path, kind: 'diff', hunks: [], is_new: false, is_deleted: false };
+      files.push(current);
+    }
+
+    const hunk = { old_start: header[1] ? Number(header[1]) : 0, lines: [] };
+    const has_counts = header[1] !== undefined;
+    let old_remaining = has_counts ? Number(header[2] ?? 1) : Infinity;
+    let new_remaining = has_counts ? Number(header[4] ?? 1) : Infinity;
+    let next = i + 1;
+    while (next < lines.length && (old_remaining > 0 || new_remaining > 0)) {
+      const hunk_line = lines[next];
+      if (hunk_line.startsWith('\\')) {
+        next++;
+        continue;
+      }
+      if (hunk_line.startsWith('@@') || (hunk_line.startsWith('--- ') && lines[next + 1]?.startsWith('+++ '))) break;
+      // Editors and models often strip the space from empty context lines.
+      const is_empty_context = hunk_line === '' && (has_counts || /^[ +-]/.test(lines[next + 1] ?? ''));
+      const type = is_empty_context ? ' ' : hunk_line[0];
+      if (![' ', '-', '+'].includes(type)) break;
+      hunk.lines.push({ type, text: hunk_line.slice(1) });
+      if (type !== '+') old_remaining--;
+      if (type !== '-') new_remaining--;
+      next++;
+    }
+    current.hunks.push(hunk);
+    i = next - 1;
+  }
+  return files.filter((file) => file.hunks.length || file.is_new || file.is_deleted);
+}
+
+/**
+ * Apply diff hunks to a file's content. Each hunk is placed where its context and removed lines
+ * match, nearest to the line it claims, so slightly wrong line numbers still apply.
+ * @param {string} original
+ * @param {Hunk[]} hunks
+ * @returns {string}
+ * @throws {Error} When a hunk's lines are not found in the file.
+ */
+export function apply_hunks(original, hunks) {
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+  const lines = original === '' ? [] : original.replace(/\r?\n$/, '').split(/\r?\n/);
+  const ends_with_newline = original === '' || /\n$/.test(original);
+  let shift = 0;
+  let search_from = 0;
+
+  hunks.forEach((hunk, index) => {
+    const old_lines = hunk.lines.filter((line) => line.type !== '+').map((line) => line.text);
+    const new_lines = hunk.lines.filter((line) => line.type !== '-').map((line) => line.text);
+    const expected = Math.max(0, hunk.old_start - 1 + shift);
+    const at = find_lines(lines, old_lines, expected, search_from);
+    if (at === -1) {
+      throw new Error(`hunk ${index + 1}${hunk.old_start ? ` (line ${hunk.old_start})` : ''} does not match the current file`);
+    }
+    lines.splice(at, old_lines.length, ...new_lines);
+    shift = at + new_lines.length - (hunk.old_start - 1 + old_lines.length);
+    search_from = at + new_lines.length;
+  });
+
+  return lines.join(eol) + (ends_with_newline && lines.length ? eol : '');
+}
+
+/**
+ * Where a response path points in the workspace. Paths are read relative to a workspace folder
+ * (a leading `/` is the folder itself, as in copied bundles); with several folders, a first
+ * segment naming a folder picks it. Absolute paths are accepted when inside a folder. Paths inside
+ * a `.git` folder are refused.
+ * @param {string} response_path
+ * @param {Array<{name: string, path: string}>} roots Workspace folders; the first is the default.
+ * @returns {{root_path: string, full_path: string}|{error: string}}
+ */
+export function resolve_target_path(response_path, roots) {
+  if (!roots.length) return { error: 'no workspace folder is open' };
+  const normalized = response_path.trim().replace(/\\/g, '/');
+  const inside = (root_path, full_path) => full_path === root_path || full_path.startsWith(root_path.endsWith(path.sep) ? root_path : root_path + path.sep);
+
+  if (path.isAbsolute(normalized) || /^[a-zA-Z]:\//.test(normalized)) {
+    const absolute = path.resolve(normalized);
+    const root = roots.find((candidate) => inside(path.resolve(candidate.path), absolute));
+    if (root) return check_git_folder(response_path, { root_path: root.path, full_path: absolute });
+  }
+
+  let relative = normalized.replace(/^\/+/, '');
+  let root = roots[0];
+  const [first_segment, ...rest] = relative.split('/');
+  const named_root = roots.length > 1 && roots.find((candidate) => candidate.name === first_segment);
+  if (named_root) {
+    root = named_root;
+    relative = rest.join('/');
+  }
+  const full_path = path.resolve(root.path, relative);
+  if (!relative || !inside(path.resolve(root.path), full_path) || full_path === path.resolve(root.path)) {
+    return { error: `${response_path} is outside the workspace` };
+  }
+  return check_git_folder(response_path, { root_path: root.path, full_path });
+}
+
+function check_git_folder(response_path, target) {
+  if (path.relative(target.root_path, target.full_path).split(path.sep).includes('.git')) {
+    return { error: `${response_path} is inside a .git folder` };
+  }
+  return target;
+}
+
+function parse_fenced_block(file_path, info, body) {
+  const language = info.split(/\s+/)[0].toLowerCase();
+  const looks_like_diff = /^@@/m.test(body) && (/^--- /m.test(body) || ['diff', 'patch'].includes(language));
+  if (looks_like_diff || ['diff', 'patch'].includes(language)) {
+    const diffs = parse_unified_diff(body, { default_path: file_path });
+    if (diffs.length) return diffs;
+  }
+  if (!file_path) return [];
+  return [{ path: file_path, kind: 'content', content: body.endsWith('\n') || body === '' ? body : body + '\n' }];
+}
+
+/**
+ * A file path written on a line of its own, with the decorations models commonly add.
+ * @param {string} line
+ * @returns {string|null}
+ */
+function parse_path_line(line) {
+  const text = line.trim()
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/^(?:file|path):\s*/i, '')
+    .replace(/^(\*\*|__)(.+)\1:?$/, '$2')
+    .replace(/^`([^`]+)`:?$/, '$1')
+    .replace(/^(?:file|path):\s*/i, '')
+    .replace(/:$/, '')
+    .trim();
+  if (!text || text.length > 300 || text.includes('://')) return null;
+  // Paths with spaces are only recognised in the bundle's own `/path` form.
+  if (/\s/.test(text) && !text.startsWith('/')) return null;
+  if (!/^[\w./@~-]/.test(text) || !/[/\\]|\.\w+$/.test(text) || /[<>"|?*`]/.test(text)) return null;
+  return text;
+}
+
+function clean_diff_path(header) {
+  const file_path = header.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  if (file_path === '/dev/null') return null;
+  return file_path.replace(/^[ab]\//, '');
+}
+
+function find_lines(lines, target, expected, from) {
+  if (target.length === 0) return Math.min(Math.max(expected, from), lines.length);
+  for (const normalize of [(line) => line, (line) => line.trim()]) {
+    const wanted = target.map(normalize);
+    let best = -1;
+    for (let start = from; start + wanted.length <= lines.length; start++) {
+      if (!wanted.every((line, offset) => normalize(lines[start + offset]) === line)) continue;
+      if (best === -1 || Math.abs(start - expected) < Math.abs(best - expected)) best = start;
+    }
+    if (best !== -1) return best;
+  }
+  return -1;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "reads_back_a_copied_markdown_bundle",
+      before: async function () {
+        this.text = format_bundle({
+          title: 'File Contents',
+          tree: { name: 'src', structure: '├── a.js\n└── docs/read me.md\n' },
+          files: [
+            { path: '/a.js', content: 'export const a = 1;\n' },
+            { path: '/docs/read me.md', content: '```js\nx\n```\n' },
+          ],
+        });
+      },
+      assert: async function (a) {
+        a.deepEqual(parse_response(this.text), [
+          { path: '/a.js', kind: 'content', content: 'export const a = 1;\n' },
+          { path: '/docs/read me.md', kind: 'content', content: '```js\nx\n```\n' },
+        ]);
+      },
+    },
+    {
+      name: "reads_decorated_paths_and_diffs_from_a_chat_reply",
+      before: async function () {
+        this.text = [
+          'Here are the changes.',
+          '',
+          '**src/util.ts**',
+          '```ts',
+          'export const twice = (n: number) => n * 2;',
+          '```',
+          '',
+          'Run this afterwards:',
+          '```bash',
+          'npm test',
+          '```',
+          '',
+          'diff --git a/src/app.ts b/src/app.ts',
+          '--- a/src/app.ts',
+          '+++ b/src/app.ts',
+          '@@ -1,2 +1,3 @@',
+          ' import { once } from "./util";',
+          '+import { twice } from "./util";',
+          ' once();',
+          '',
+          '```diff',
+          '--- /dev/null',
+          '+++ b/src/new.ts',
+          '@@ -0,0 +1 @@',
+          '+export {};',
+          '```',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const files = parse_response(this.text);
+        a.deepEqual(files.map((file) => [file.path, file.kind, Boolean(file.is_new)]), [
+          ['src/util.ts', 'content', false],
+          ['src/app.ts', 'diff', false],
+          ['src/new.ts', 'diff', true],
+        ]);
+        a.deepEqual(files[1].hunks[0].lines.map((line) => line.type), [' ', '+', ' ']);
+        a.equal(apply_hunks('', files[2].hunks), 'export {};\n');
+      },
+    },
+    {
+      name: "applies_hunks_with_shifted_line_numbers_and_rejects_mismatches",
+      before: async function () {
+        this.original = 'a\r\nb\r\nc\r\nd\r\ne\r\n';
+        this.hunks = parse_unified_diff('@@ -1,2 +1,2 @@\n a\n-b\n+B\n@@ -9,2 +9,3 @@\n d\n+D\n e\n', { default_path: 'x.txt' })[0].hunks;
+      },
+      assert: async function (a) {
+        a.equal(apply_hunks(this.original, this.hunks), 'a\r\nB\r\nc\r\nd\r\nD\r\ne\r\n');
+        a.throws(() => apply_hunks('x\ny\n', this.hunks), /hunk 1 \(line 1\) does not match/);
+      },
+    },
+    {
+      name: "resolves_paths_inside_the_workspace_only",
+      before: async function () {
+        this.roots = [{ name: 'app', path: '/work/app' }, { name: 'lib', path: '/work/lib' }];
+      },
+      assert: async function (a) {
+        a.deepEqual(resolve_target_path('/src/a.js', this.roots), { root_path: '/work/app', full_path: '/work/app/src/a.js' });
+        a.deepEqual(resolve_target_path('lib/index.js', this.roots), { root_path: '/work/lib', full_path: '/work/lib/index.js' });
+        a.deepEqual(resolve_target_path('/work/lib/x.js', this.roots), { root_path: '/work/lib', full_path: '/work/lib/x.js' });
+        a.ok(resolve_target_path('../secrets.txt', this.roots).error.endsWith('is outside the workspace'));
+        a.ok(resolve_target_path('/src/../../etc/passwd', this.roots).error);
+        a.ok(resolve_target_path('/', this.roots).error);
+        a.equal(resolve_target_path('.git/hooks/pre-commit', this.roots).error, '.git/hooks/pre-commit is inside a .git folder');
+        a.equal(resolve_target_path('.github/workflows/ci.yml', this.roots).full_path, '/work/app/.github/workflows/ci.yml');
+      },
+    },
+  ],
+};
@@ -0,0 +1,207 @@
+import * as path from 'path';
+import { format_bundle, format_diagnostic, format_tree } from './format_bundle.mjs';
+
+/**
+ * Prompt templates: the instructions you would otherwise type around pasted context, with
+ * placeholders filled from the bundle.
+ *
+ * Templates come from the `smartContext.promptTemplates` setting:
+ *
+ *   "smartContext.promptTemplates": [
+ *     { "name": "review", "description": "Code review", "template": "You are reviewing this code.\n\n{{tree}}\n\n{{files}}" }
+ *   ]
+ *
+ * or from Markdown files in `.smart-context/templates/` in a workspace folder, named after the
+ * file (`review.md` is `review`). A file may start with an HTML comment used as its description.
+ * Template files take precedence over same-named templates in settings.
+ *
+ * Placeholders are written `{{name}}`; unknown ones are left as they are.
+ */
+
+export const template_directory = path.join('.smart-context', 'templates');
+
+/** Placeholder names, with what they are filled with. */
+export const template_placeholders = {
+  tree: 'folder structure of the copied files',
+  files: 'file contents, in the output format',
+  diff: 'uncommitted changes to the copied files',
+  selection: 'the selection in the active editor',
+  diagnostics: 'problems reported for the copied files',
+  file_count: 'number of copied files',
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * @typedef {{name: string, description: string, body: string, source: string}} PromptTemplate
+ *   `source` is `settings` or the template file's path relative to its workspace folder.
+ */
+
+/**
+ * Load the templates defined in settings and in the workspace folders' template directories.
+ * @param {string[]} root_paths Workspace folders.
+ * @param {Array<{name: string, template: string, description?: string}>} setting_templates
+ * @param {Object} io
+ * @param {(file_path: string) => string} io.read_file
+ * @param {(file_path: string) => boolean} io.exists
+ * @param {(dir_path: string) => string[]} io.list_dir File names in a folder.
+ * @returns {{templates: PromptTemplate[], errors: string[]}}
+ */
+export function load_templates(root_paths, setting_templates, { read_file, exists, list_dir }) {
+  const by_name = new Map();
+  const errors = [];
+  for (const [index, raw] of (setting_templates || []).entries()) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name || typeof raw.template !== 'string') {
+      errors.push(`smartContext.promptTemplates[${index}]: needs a "name" and a "template" string`);
+      continue;
+    }
+    by_name.set(raw.name, {
+      name: raw.name,
+      description: typeof raw.description === 'string' ? raw.description : '',
+      body: raw.template,
+      source: 'settings',
+    });
+  }
+  for (const root_path of root_paths) {
+    const dir_path = path.join(root_path, template_directory);
+    if (!exists(dir_path)) continue;
+    for (const file_name of list_dir(dir_path).filter((name) => name.endsWith('.md')).sort()) {
+      const source = path.join(template_directory, file_name).replace(/\\/g, '/');
+      try {
+        const { description, body } = parse_template_file(read_file(path.join(dir_path, file_name)));
+        by_name.set(file_name.slice(0, -'.md'.length), { name: file_name.slice(0, -'.md'.length), description, body, source });
+      } catch (error) {
+        errors.push(`${source}: ${error.message}`);
+      }
+    }
+  }
+  return { templates: [...by_name.values()], errors };
+}
+
+function parse_template_file(text) {
+  const match = /^<!--([\s\S]*?)-->\r?\n?/.exec(text);
+  if (!match) return { description: '', body: text };
+  return { description: match[1].trim(), body: text.slice(match[0].length) };
+}
+
+/**
+ * Known placeholders a template uses, so only those values need computing.
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function get_used_placeholders(body) {
+  const used = new Set();
+  for (const [, name] of body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (Object.hasOwn(template_placeholders, name)) used.add(name);
+  }
+  return [...used];
+}
+
+/**
+ * Replace `{{name}}` placeholders; names without a value are left as they are.
+ * @param {string} body
+ * @param {Object<string, string|number>} values
+ * @returns {string}
+ */
+export function fill_template(body, values) {
+  return body.replace(PLACEHOLDER_PATTERN, (match, name) => Object.hasOwn(values, name) ? String(values[name]) : match);
+}
+
+/**
+ * Fill a template from a bundle. `{{tree}}` and `{{files}}` use the bundle's format. When the
+ * template has its own `{{diagnostics}}` placeholder, diagnostics are left out of `{{files}}`.
+ * @param {string} body
+ * @param {Object} bundle Same shape as the `format_bundle` argument.
+ * @param {{diff?: string, selection?: string}} [extra] Values that do not come from the bundle.
+ * @returns {string}
+ */
+export function render_template(body, bundle, { diff = '', selection = '' } = {}) {
+  const files = bundle.files || [];
+  const separate_diagnostics = get_used_placeholders(body).includes('diagnostics');
+  const with_diagnostics = files.filter((file) => file.diagnostics?.length);
+  return fill_template(body, {
+    tree: bundle.tree ? format_tree(bundle.tree, bundle.format) : '',
+    files: format_bundle({
+      format: bundle.format,
+      files: separate_diagnostics ? files.map(({ diagnostics, ...file }) => file) : files,
+    }).trimEnd(),
+    diff,
+    selection,
+    diagnostics: with_diagnostics.length
+      ? with_diagnostics.map((file) => `${file.path}\n${file.diagnostics.map((diagnostic) => `- ${format_diagnostic(diagnostic)}`).join('\n')}`).join('\n')
+      : 'No problems reported.',
+    file_count: new Set(files.map((file) => file.path)).size,
+  });
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "templates_load_from_settings_and_files",
+      before: async function () {
+        const files = {
+          [path.join('/ws', template_directory)]: null,
+          [path.join('/ws', template_directory, 'review.md')]: '<!-- Careful review -->\nReview:\n{{files}}',
+          [path.join('/ws', template_directory, 'notes.txt')]: 'ignored',
+        };
+        this.io = {
+          read_file: (file_path) => files[file_path],
+          exists: (file_path) => file_path in files,
+          list_dir: () => ['review.md', 'notes.txt'],
+        };
+      },
+      assert: async function (a) {
+        const { templates, errors } = load_templates(['/ws', '/other'], [
+          { name: 'review', template: 'overridden' },
+          { name: 'tests', template: 'Write tests for {{files}}', description: 'Tests' },
+          { name: 'broken' },
+        ], this.io);
+        a.deepEqual(templates.map((template) => [template.name, template.description, template.source]), [
+          ['review', 'Careful review', '.smart-context/templates/review.md'],
+          ['tests', 'Tests', 'settings'],
+        ]);
+        a.equal(templates[0].body, 'Review:\n{{files}}');
+        a.equal(errors.length, 1);
+      },
+    },
+    {
+      name: "render_fills_placeholders_from_the_bundle",
+      before: async function () {
+        this.bundle = {
+          format: 'markdown',
+          title: 'File Contents',
+          tree: { name: 'src', structure: '└── a.js\n' },
+          files: [{ path: '/a.js', content: 'x', diagnostics: [{ severity: 'error', line: 1, column: 1, message: 'Bad' }] }],
+        };
+      },
+      assert: async function (a) {
+        const text = render_template('{{ file_count }} file(s):\n{{tree}}\n{{files}}\nErrors:\n{{diagnostics}}\n{{diff}}{{unknown}}', this.bundle, { diff: 'DIFF' });
+        a.equal(text, '1 file(s):\n```text\n└── a.js\n```\n/a.js\n```js\nx\n```\nErrors:\n/a.js\n- error 1:1 Bad\nDIFF{{unknown}}');
+        a.ok(render_template('{{files}}', this.bundle).includes('Diagnostics:\n- error 1:1 Bad'));
+        a.deepEqual(get_used_placeholders('{{files}} {{selection}} {{files}} {{other}}'), ['files', 'selection']);
+      },
+    },
+    {
+      name: "tree_uses_the_bundle_format",
+      before: async function () {
+        this.bundle = { tree: { name: 'src', structure: '└── a.js\n' }, files: [{ path: '/a.js', content: 'x' }] };
+      },
+      assert: async function (a) {
+        const xml = render_template('{{tree}}\n{{files}}', { ...this.bundle, format: 'xml' });
+        a.ok(xml.startsWith('<folder_structure name="src">\n└── a.js\n</folder_structure>\n<files>\n'));
+        const json = render_template('{{tree}}', { ...this.bundle, format: 'json' });
+        a.deepEqual(JSON.parse(json), { tree: '└── a.js\n' });
+      },
+    },
+    {
+      name: "fill_leaves_object_property_names_as_written",
+      before: async function () {},
+      assert: async function (a) {
+        a.equal(fill_template('{{constructor}} {{toString}} {{ name }}', { name: 'x' }), '{{constructor}} {{toString}} x');
+        a.deepEqual(get_used_placeholders('{{constructor}} {{hasOwnProperty}}'), []);
+      },
+    },
+  ],
+};
@@ -0,0 +1,285 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import { build_files_bundle, build_git_changes_bundle, collect_matching_files, collect_selection, default_settings, get_part_file_paths, render_bundle } from './context_core.mjs';
+import { create_preset_matcher } from './context_presets.mjs';
+import { get_repo_root } from './git_changes.mjs';
+import { chunk_size_units } from './chunk_bundle.mjs';
+import { is_text_file, load_ignore_patterns, should_ignore } from './ignore_files.mjs';
+
+/**
+ * `smart-context`: build the same bundles as the extension from a terminal or CI job.
+ * The bundle goes to stdout or to `--output`; notes about skipped files go to stderr.
+ * `cli.mjs` is the executable entry point; everything else lives here so it can be tested.
+ */
+
+const ignore_utils = { load_ignore_patterns, should_ignore, is_text_file };
+
+const USAGE = `Usage: smart-context <mode> [args] [options]
+
+Modes:
+  folder <path...>        Files and folders, with the folder tree (the default mode)
+  glob <pattern...>       Files under --cwd matching .gitignore-style globs
+  git-diff                Staged changes; --unstaged, or --base <branch> for <branch>...HEAD
+  stripped <path...>      Files and folders with function bodies removed
+
+Options:
+  -o, --output <file>         Write to a file; parts of a split bundle get .part-N-of-M
+  -f, --format <format>       markdown (default), xml or json
+      --minify                Minify file contents (folder and glob modes)
+      --cwd <dir>             Folder that paths, globs and git-diff start from (default: .)
+      --unstaged              git-diff: unstaged and untracked changes
+      --base <branch>         git-diff: changes on HEAD since it left <branch>
+      --exclude <glob>        Leave out matching paths (repeatable)
+      --force-include <glob>  Keep matching paths even if ignored (repeatable)
+      --include-lockfiles     Keep lockfiles such as package-lock.json
+      --include-generated     Keep generated files such as *.min.js
+      --no-dotfiles           Leave out dotfiles
+      --skip-unsupported      stripped: leave out files in unsupported languages
+      --token-budget <n>      Trim the bundle to about n tokens
+      --budget-strategy <s>   drop_largest (default), truncate_head_tail or drop_least_recent
+      --chunk-size <n>        Split the bundle into parts of at most n units
+      --chunk-unit <unit>     tokens (default) or characters
+      --max-files <n>         Stop a folder walk after n files (default 5000)
+      --max-file-size-kb <n>  Skip files larger than this (default 1024)
+      --no-redact             Do not redact secrets
+  -h, --help                  Show this help
+`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  minify: { type: 'boolean' },
+  cwd: { type: 'string' },
+  unstaged: { type: 'boolean' },
+  base: { type: 'string' },
+  exclude: { type: 'string', multiple: true },
+  'force-include': { type: 'string', multiple: true },
+  'include-lockfiles': { type: 'boolean' },
+  'include-generated': { type: 'boolean' },
+  'no-dotfiles': { type: 'boolean' },
+  'skip-unsupported': { type: 'boolean' },
+  'token-budget': { type: 'string' },
+  'budget-strategy': { type: 'string' },
+  'chunk-size': { type: 'string' },
+  'chunk-unit': { type: 'string' },
+  'max-files': { type: 'string' },
+  'max-file-size-kb': { type: 'string' },
+  'no-redact': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const MODES = ['folder', 'glob', 'git-diff', 'stripped'];
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv Arguments after the executable and script.
+ * @returns {Promise<number>} Exit code.
+ */
+export async function run_cli(argv) {
+  let parsed;
+  try {
+    parsed = parse_cli_args(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { mode, args, values } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const cwd = path.resolve(values.cwd || '.');
+
+  let settings;
+  try {
+    settings = get_cli_settings(values);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  const result = await build_bundle(mode, args, cwd, values, settings);
+  if (!result) return 1;
+
+  const { contents, notes, errors } = render_bundle(result.bundle, settings);
+  for (const line of [...errors.map((error) => `Ignoring invalid secret pattern ${error}`), ...result.notes, ...notes]) {
+    process.stderr.write(`${line}\n`);
+  }
+
+  if (!values.output) {
+    process.stdout.write(contents.join('\n'));
+    return 0;
+  }
+  const file_paths = get_part_file_paths(path.resolve(values.output), contents.length);
+  await fs.promises.mkdir(path.dirname(file_paths[0]), { recursive: true });
+  for (let index = 0; index < contents.length; index++) {
+    await fs.promises.writeFile(file_paths[index], contents[index], 'utf8');
+  }
+  process.stderr.write(`Wrote ${file_paths.map((file_path) => path.relative(process.cwd(), file_path)).join(', ')}\n`);
+  return 0;
+}
+
+/**
+ * Split the command line into the mode, its arguments and the options.
+ * @param {string[]} argv
+ * @returns {{mode: string, args: string[], values: Object}} `mode` is `folder` when the first
+ *   argument is not a mode name.
+ * @throws {Error} On unknown options, missing option values, or a `--base` that looks like an option.
+ */
+export function parse_cli_args(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.base?.startsWith('-')) throw new Error(`--base must be a branch name, got ${values.base}`);
+  const mode = MODES.includes(positionals[0]) ? positionals[0] : 'folder';
+  return { mode, args: mode === positionals[0] ? positionals.slice(1) : positionals, values };
+}
+
+/**
+ * Build the bundle for a mode and its arguments.
+ * @param {string} mode One of `MODES`.
+ * @param {string[]} args Paths or globs.
+ * @param {string} cwd
+ * @param {Object} values Parsed options.
+ * @param {import('./context_core.mjs').CoreSettings} settings
+ * @returns {Promise<{bundle: Object, notes: string[]}|null>} `null` after reporting why
+ *   there is nothing to write.
+ */
+export async function build_bundle(mode, args, cwd, values, settings) {
+  if (mode === 'git-diff') {
+    const repo_path = await get_repo_root(cwd);
+    if (!repo_path) return fail(`Not inside a git repository: ${cwd}`);
+    const git_mode = values.base ? 'branch' : values.unstaged ? 'unstaged' : 'staged';
+    const result = await build_git_changes_bundle(repo_path, git_mode, values.base, settings);
+    if (!result) return fail(`No ${values.base ? `changes in ${values.base}...HEAD` : `${git_mode} changes`} found.`);
+    return { bundle: result.bundle, notes: result.details };
+  }
+
+  if (args.length === 0) return fail(mode === 'glob' ? 'Give at least one glob pattern.' : 'Give at least one file or folder.');
+  let selection;
+  if (mode === 'glob') {
+    selection = await collect_matching_files(cwd, create_preset_matcher({ include: args, exclude: [] }), settings, ignore_utils);
+  } else {
+    const missing = args.filter((arg) => !fs.existsSync(path.resolve(cwd, arg)));
+    if (missing.length) return fail(`Not found: ${missing.join(', ')}`);
+    selection = await collect_selection(args.map((arg) => path.resolve(cwd, arg)), settings, ignore_utils);
+  }
+  if (selection.text_files.length === 0) return fail('No text files found.');
+
+  const bundle_mode = mode === 'stripped' ? 'stripped' : values.minify ? 'minified' : 'full';
+  const result = await build_files_bundle(selection, settings, { mode: bundle_mode });
+  return { bundle: result.bundle, notes: [...selection.notes, ...result.details] };
+}
+
+/**
+ * Settings from the command-line options, on top of the core defaults.
+ * @param {Object} values Parsed options.
+ * @returns {import('./context_core.mjs').CoreSettings}
+ * @throws {Error} When an option value is invalid.
+ */
+export function get_cli_settings(values) {
+  const settings = {
+    ...default_settings,
+    exclude: values.exclude || [],
+    force_include: values['force-include'] || [],
+    skip_lockfiles: !values['include-lockfiles'],
+    skip_generated: !values['include-generated'],
+    include_dotfiles: !values['no-dotfiles'],
+    strip_logic_unsupported: values['skip-unsupported'] ? 'skip' : 'full',
+    redact_secrets: !values['no-redact'],
+    limits: { ...default_settings.limits },
+  };
+  if (values.format) settings.format = parse_choice('--format', values.format, ['markdown', 'xml', 'json']);
+  if (values['budget-strategy']) {
+    settings.token_budget_strategy = parse_choice('--budget-strategy', values['budget-strategy'], ['drop_largest', 'truncate_head_tail', 'drop_least_recent']);
+  }
+  if (values['chunk-unit']) settings.chunk_size_unit = parse_choice('--chunk-unit', values['chunk-unit'], chunk_size_units);
+  if (values['token-budget']) settings.token_budget = parse_count('--token-budget', values['token-budget']);
+  if (values['chunk-size']) settings.chunk_size = parse_count('--chunk-size', values['chunk-size']);
+  if (values['max-files']) settings.limits.max_files = parse_count('--max-files', values['max-files']);
+  if (values['max-file-size-kb']) settings.limits.max_file_size = parse_count('--max-file-size-kb', values['max-file-size-kb']) * 1024;
+  return settings;
+}
+
+function parse_choice(option, value, choices) {
+  if (!choices.includes(value)) throw new Error(`${option} must be one of: ${choices.join(', ')}`);
+  return value;
+}
+
+function parse_count(option, value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) throw new Error(`${option} must be a whole number`);
+  return count;
+}
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  return null;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "cli_arguments_become_mode_and_settings",
+      before: async function () {},
+      assert: async function (a) {
+        const folder = parse_cli_args(['src', 'docs', '--exclude', '*.snap', '--exclude', 'tmp/', '-f', 'xml']);
+        a.equal(folder.mode, 'folder');
+        a.deepEqual(folder.args, ['src', 'docs']);
+        const git = parse_cli_args(['git-diff', '--unstaged']);
+        a.equal(git.mode, 'git-diff');
+        a.deepEqual(git.args, []);
+        a.throws(() => parse_cli_args(['--unknown']));
+        a.equal(parse_cli_args(['git-diff', '--base', 'main']).values.base, 'main');
+        a.throws(() => parse_cli_args(['git-diff', '--base=--output=/tmp/x']), /--base must be a branch name/);
+
+        const settings = get_cli_settings({
+          ...folder.values,
+          'no-dotfiles': true,
+          'token-budget': '5000',
+          'max-file-size-kb': '64',
+          'chunk-unit': 'characters',
+        });
+        a.equal(settings.format, 'xml');
+        a.deepEqual(settings.exclude, ['*.snap', 'tmp/']);
+        a.equal(settings.include_dotfiles, false);
+        a.equal(settings.skip_lockfiles, true);
+        a.equal(settings.token_budget, 5000);
+        a.equal(settings.limits.max_file_size, 64 * 1024);
+        a.equal(settings.chunk_size_unit, 'characters');
+        a.equal(default_settings.limits.max_file_size, 1024 * 1024, "Defaults are not modified");
+        a.throws(() => get_cli_settings({ format: 'yaml' }), /--format must be one of/);
+        a.throws(() => get_cli_settings({ 'token-budget': '-1' }), /--token-budget must be a whole number/);
+      },
+    },
+    {
+      name: "cli_bundles_follow_ignore_files",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-cli-'));
+        await fs.promises.mkdir(path.join(this.root, 'src', 'gen'), { recursive: true });
+        await fs.promises.writeFile(path.join(this.root, '.gitignore'), 'gen/\n');
+        await fs.promises.writeFile(path.join(this.root, 'src', 'a.js'), 'function a() {\n  return 1;\n}\n');
+        await fs.promises.writeFile(path.join(this.root, 'src', 'b.ts'), 'export const b = 2;\n');
+        await fs.promises.writeFile(path.join(this.root, 'src', 'gen', 'c.js'), 'c\n');
+      },
+      assert: async function (a) {
+        const build = (argv) => {
+          const { mode, args, values } = parse_cli_args(argv);
+          return build_bundle(mode, args, this.root, values, get_cli_settings(values));
+        };
+        const folder = await build(['.']);
+        const glob = await build(['glob', '**/*.ts']);
+        const stripped = await build(['stripped', 'src/a.js']);
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+
+        a.deepEqual(folder.bundle.files.map((file) => file.path), ['/src/a.js', '/src/b.ts']);
+        a.ok(!folder.bundle.tree.structure.includes('gen'));
+        a.deepEqual(glob.bundle.files.map((file) => file.path), ['/src/b.ts']);
+        a.ok(!stripped.bundle.files[0].content.includes('return 1'));
+      },
+    },
+  ],
+};
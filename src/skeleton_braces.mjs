@@ -0,0 +1,439 @@
+/**
+ * Skeleton extraction for brace-delimited languages (Go, Rust, Java).
+ *
+ * The source is first "masked": string/char literals and comments are blanked out so
+ * braces, parentheses and semicolons inside them never affect structure. Declarations are
+ * then walked on the masked text and sliced from the original:
+ * - Functions and methods keep their full signature with an empty body: `fn run(&self) {}`.
+ * - Containers that hold methods (Java classes/interfaces/enums/records, Rust impl/trait/mod)
+ *   are printed member by member.
+ * - Data declarations (Go types, Rust structs/enums, fields, constants, imports) are kept as-is.
+ * - Initializer blocks (Java `static { }`) are removed.
+ * - Comments between declarations (doc comments, attributes, annotations) are kept.
+ */
+
+const LANGUAGES = {
+  go: {
+    indent: '\t',
+    newline_terminates: true,
+    read_literal: (text, i) => {
+      if (text[i] === '"') return read_quoted(text, i, '"', false);
+      if (text[i] === '`') return read_until(text, i + 1, '`');
+      if (text[i] === "'") return read_char_literal(text, i);
+      return i;
+    },
+    classify: (header) => {
+      if (/^func\b/.test(header)) return 'function';
+      if (/^type\b/.test(header)) return 'data';
+      return 'other';
+    },
+  },
+  rust: {
+    indent: '    ',
+    nested_block_comments: true,
+    read_literal: (text, i) => {
+      const raw = /^b?r(#*)"/.exec(text.slice(i, i + 260));
+      if (raw && !/[\w]/.test(text[i - 1] || '')) {
+        return read_until(text, i + raw[0].length, `"${raw[1]}`);
+      }
+      if (text[i] === '"') return read_quoted(text, i, '"', true);
+      if (text[i] === 'b' && text[i + 1] === '"' && !/[\w]/.test(text[i - 1] || '')) return read_quoted(text, i + 1, '"', true);
+      if (text[i] === "'") return read_char_literal(text, i); // lifetimes are not literals
+      return i;
+    },
+    classify: (header) => {
+      const item = header.replace(/#!?\[[^\]]*\]\s*/g, '').trim();
+      if (/^macro_rules!/.test(item)) return 'function';
+      if (/(^|\s)fn\s/.test(item) && !/=/.test(item.split(/(^|\s)fn\s/)[0])) return 'function';
+      if (/^(pub(\([^)]*\))?\s+)?(unsafe\s+)?(impl|trait|mod)\b/.test(item)) return 'container';
+      if (/\b(struct|enum|union)\b/.test(item) || /^(pub\s+)?(unsafe\s+)?extern\b/.test(item)) return 'data';
+      return 'other';
+    },
+  },
+  java: {
+    indent: '    ',
+    read_literal: (text, i) => {
+      if (text.startsWith('"""', i)) return read_until(text, i + 3, '"""');
+      if (text[i] === '"') return read_quoted(text, i, '"', false);
+      if (text[i] === "'") return read_char_literal(text, i);
+      return i;
+    },
+    classify: (header) => {
+      const item = header.replace(/@(?!interface\b)[\w.]+(\s*\([^)]*\))?\s*/g, '').trim();
+      if (item === '' || item === 'static') return 'drop';
+      if (/\b(class|interface|enum|record)\s+\w+/.test(item) && !/=/.test(item)) return 'container';
+      const outside_parens = item.replace(/\([^()]*\)/g, '()');
+      if (/^(if|for|while|switch|catch|try|synchronized|do|else)\b/.test(item) || /=|\bnew\s/.test(outside_parens)) return 'other';
+      if (/\)\s*(throws\s+[\w.<>,\s]+)?$/.test(item)) return 'function';
+      return 'other';
+    },
+  },
+};
+
+export const brace_languages = Object.keys(LANGUAGES);
+
+/**
+ * Build a skeleton for Go, Rust or Java source.
+ * @param {string} content
+ * @param {'go'|'rust'|'java'} language
+ * @returns {string}
+ */
+export function strip_logic_from_braces(content, language) {
+  const lang = LANGUAGES[language];
+  if (!lang) throw new Error(`Unsupported language: ${language}`);
+  const { masked, comments } = mask_source(content, lang);
+  const ctx = {
+    text: content,
+    masked,
+    comments,
+    comment_at: new Map(comments.map((comment) => [comment.start, comment])),
+    lang,
+  };
+  return print_items(ctx, 0, content.length, 0).join('\n').trim() + '\n';
+}
+
+function print_items(ctx, start, end, depth) {
+  const { text, masked, lang } = ctx;
+  const indent = lang.indent.repeat(depth);
+  const lines = [];
+  let previous_end = null;
+  let p = start;
+
+  const push = (item_start, item_lines) => {
+    if (previous_end !== null && /\n[ \t]*\n/.test(text.slice(previous_end, item_start))) lines.push('');
+    lines.push(...item_lines.map((line) => (line ? indent + line : line)));
+  };
+
+  while (p < end) {
+    while (p < end && /\s/.test(masked[p]) && !ctx.comment_at.has(p)) p++;
+    if (p >= end) break;
+
+    const comment = ctx.comment_at.get(p);
+    if (comment) {
+      push(p, dedent(text.slice(comment.start, comment.end), column_of(text, p)).split('\n'));
+      previous_end = comment.end;
+      p = comment.end;
+      continue;
+    }
+
+    let i = p;
+    let parens = 0;
+    let item_end = null;
+    while (i < end) {
+      const ch = masked[i];
+      if (ch === '(' || ch === '[') parens++;
+      else if (ch === ')' || ch === ']') parens--;
+      else if (parens === 0 && ch === ';') {
+        push(p, verbatim(ctx, p, i + 1));
+        item_end = i + 1;
+        break;
+      } else if (parens === 0 && ch === '{') {
+        const close = find_matching_brace(masked, i, end);
+        const kind = lang.classify(signature(ctx, p, i).join(' '));
+        if (kind === 'other') {
+          i = close + 1;
+          continue;
+        }
+        if (kind === 'function') {
+          const header = signature(ctx, p, i);
+          header[header.length - 1] += ' {}';
+          push(p, header);
+        } else if (kind === 'container') {
+          const header = signature(ctx, p, i);
+          header[header.length - 1] += ' {';
+          push(p, header);
+          lines.push(...print_items(ctx, i + 1, close, depth + 1));
+          lines.push(indent + '}');
+        } else if (kind === 'data') {
+          push(p, verbatim(ctx, p, close + 1));
+        }
+        item_end = close + 1;
+        if (masked[item_end] === ';') item_end++;
+        break;
+      } else if (ch === '\n' && parens === 0 && lang.newline_terminates && is_statement_complete(masked, p, i)) {
+        push(p, verbatim(ctx, p, i));
+        item_end = i;
+        break;
+      }
+      i++;
+    }
+    if (item_end === null) {
+      // Unterminated trailing item, e.g. Java enum constants without `;`
+      if (masked.slice(p, end).trim()) push(p, verbatim(ctx, p, end));
+      item_end = end;
+    }
+    previous_end = item_end;
+    p = item_end;
+  }
+  return lines;
+}
+
+/**
+ * Declaration header between `start` and `end` with comments removed. Annotation and
+ * attribute lines stay on their own line; everything else is joined onto one line.
+ * @returns {string[]}
+ */
+function signature(ctx, start, end) {
+  let header = '';
+  let cursor = start;
+  for (const comment of ctx.comments) {
+    if (comment.start >= start && comment.end <= end) {
+      header += ctx.text.slice(cursor, comment.start);
+      cursor = comment.end;
+    }
+  }
+  header += ctx.text.slice(cursor, end);
+
+  const lines = [];
+  let current = [];
+  for (const line of header.split('\n').map((l) => l.trim()).filter(Boolean)) {
+    if (current.length === 0 && /^(@[\w.]+(\(.*\))?|#!?\[.*\])$/.test(line)) {
+      lines.push(line);
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length) {
+    lines.push(current.join('\n')
+      .replace(/([(<[])\n/g, '$1')
+      .replace(/,?\n([)>\]])/g, '$1')
+      .replace(/\n/g, ' '));
+  }
+  return lines.length ? lines : [''];
+}
+
+function verbatim(ctx, start, end) {
+  return dedent(ctx.text.slice(start, end).replace(/\s+$/, ''), column_of(ctx.text, start)).split('\n');
+}
+
+function is_statement_complete(masked, start, newline_index) {
+  const before = masked.slice(start, newline_index).trimEnd();
+  return before.length > 0 && !/[,([{=+\-*/&|.:^%<>!]$/.test(before);
+}
+
+function find_matching_brace(masked, open_index, end) {
+  let depth = 0;
+  for (let i = open_index; i < end; i++) {
+    if (masked[i] === '{') depth++;
+    else if (masked[i] === '}' && --depth === 0) return i;
+  }
+  return end - 1;
+}
+
+function column_of(text, index) {
+  return index - (text.lastIndexOf('\n', index - 1) + 1);
+}
+
+function dedent(text, column) {
+  if (!column) return text;
+  return text.replace(new RegExp(`\\n[ \\t]{0,${column}}`, 'g'), '\n');
+}
+
+/**
+ * Blank out comments and literal contents, keeping newlines and quote characters,
+ * so structure can be found with simple character scans.
+ * @returns {{masked: string, comments: Array<{start: number, end: number}>}}
+ */
+export function mask_source(text, lang) {
+  const chars = text.split('');
+  const comments = [];
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) if (chars[k] !== '\n') chars[k] = ' ';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '/' && text[i + 1] === '/') {
+      let line_end = text.indexOf('\n', i);
+      if (line_end === -1) line_end = text.length;
+      comments.push({ start: i, end: line_end });
+      blank(i, line_end);
+      i = line_end;
+      continue;
+    }
+    if (text[i] === '/' && text[i + 1] === '*') {
+      let depth = 1;
+      let j = i + 2;
+      while (j < text.length && depth > 0) {
+        if (lang.nested_block_comments && text[j] === '/' && text[j + 1] === '*') {
+          depth++;
+          j += 2;
+        } else if (text[j] === '*' && text[j + 1] === '/') {
+          depth--;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      comments.push({ start: i, end: j });
+      blank(i, j);
+      i = j;
+      continue;
+    }
+    const literal_end = lang.read_literal(text, i);
+    if (literal_end > i) {
+      blank(i + 1, literal_end - 1);
+      i = literal_end;
+      continue;
+    }
+    i++;
+  }
+  return { masked: chars.join(''), comments };
+}
+
+function read_quoted(text, i, quote, allow_newline) {
+  let j = i + 1;
+  while (j < text.length) {
+    if (text[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (text[j] === quote) return j + 1;
+    if (text[j] === '\n' && !allow_newline) return j;
+    j++;
+  }
+  return text.length;
+}
+
+function read_until(text, from, terminator) {
+  const index = text.indexOf(terminator, from);
+  return index === -1 ? text.length : index + terminator.length;
+}
+
+function read_char_literal(text, i) {
+  const match = /^'(?:\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[0-7]{1,3}|.)|[^\\'\n])'/.exec(text.slice(i, i + 16));
+  return match ? i + match[0].length : i;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "go_keeps_types_and_signatures",
+      before: async function () {
+        this.input = [
+          'package server',
+          '',
+          'import (',
+          '\t"fmt"',
+          ')',
+          '',
+          '// Server handles requests.',
+          'type Server struct {',
+          '\tAddr string `json:"addr"`',
+          '}',
+          '',
+          'type Handler interface {',
+          '\tServe(req Request) error',
+          '}',
+          '',
+          'var defaults = map[string]int{"a": 1}',
+          '',
+          '// Start runs the server.',
+          'func (s *Server) Start(ctx context.Context) (err error) {',
+          '\tif s.Addr == "}" {',
+          '\t\treturn fmt.Errorf("bad")',
+          '\t}',
+          '\treturn nil',
+          '}',
+          '',
+          'func New() *Server { return &Server{} }',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = strip_logic_from_braces(this.input, 'go');
+        a.ok(output.includes('import (\n\t"fmt"\n)'));
+        a.ok(output.includes('// Server handles requests.\ntype Server struct {\n\tAddr string `json:"addr"`\n}'));
+        a.ok(output.includes('type Handler interface {\n\tServe(req Request) error\n}'));
+        a.ok(output.includes('var defaults = map[string]int{"a": 1}'));
+        a.ok(output.includes('// Start runs the server.\nfunc (s *Server) Start(ctx context.Context) (err error) {}'));
+        a.ok(output.includes('func New() *Server {}'));
+        a.ok(!output.includes('Errorf'), "Function bodies are removed");
+      },
+    },
+    {
+      name: "rust_keeps_structs_traits_and_impl_signatures",
+      before: async function () {
+        this.input = [
+          'use std::fmt;',
+          '',
+          '#[derive(Debug, Clone)]',
+          'pub struct Point<T> {',
+          '    pub x: T,',
+          '}',
+          '',
+          'pub trait Shape {',
+          '    fn area(&self) -> f64;',
+          '    fn name(&self) -> &str { "shape" }',
+          '}',
+          '',
+          "impl<'a, T: Copy> Point<T> where T: fmt::Debug {",
+          '    /// Creates a point.',
+          '    pub fn new(x: T) -> Self {',
+          '        let s = r#"{ not a brace"#;',
+          "        let c = '}';",
+          '        Self { x }',
+          '    }',
+          '}',
+          '',
+          'fn main() {',
+          '    println!("{}", 1);',
+          '}',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = strip_logic_from_braces(this.input, 'rust');
+        a.ok(output.includes('#[derive(Debug, Clone)]\npub struct Point<T> {\n    pub x: T,\n}'));
+        a.ok(output.includes('pub trait Shape {\n    fn area(&self) -> f64;\n    fn name(&self) -> &str {}\n}'));
+        a.ok(output.includes("impl<'a, T: Copy> Point<T> where T: fmt::Debug {\n    /// Creates a point.\n    pub fn new(x: T) -> Self {}\n}"));
+        a.ok(output.includes('fn main() {}'));
+        a.ok(!output.includes('println'), "Function bodies are removed");
+      },
+    },
+    {
+      name: "java_keeps_class_members_and_drops_bodies",
+      before: async function () {
+        this.input = [
+          'package com.example;',
+          '',
+          'import java.util.List;',
+          '',
+          '/** A user service. */',
+          '@Service',
+          'public class UserService extends Base implements Api {',
+          '    private final List<String> names = new ArrayList<>();',
+          '    static { init(); }',
+          '',
+          '    @Override',
+          '    public List<String> find(',
+          '        String query,',
+          '        int limit',
+          '    ) throws IOException {',
+          '        if (query == null) { return List.of("}"); }',
+          '        return names;',
+          '    }',
+          '',
+          '    interface Listener {',
+          '        void onChange(String name);',
+          '        default void reset() { clear(); }',
+          '    }',
+          '',
+          '    enum Mode { FAST, SLOW }',
+          '}',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = strip_logic_from_braces(this.input, 'java');
+        a.ok(output.includes('import java.util.List;'));
+        a.ok(output.includes('/** A user service. */\n@Service\npublic class UserService extends Base implements Api {'));
+        a.ok(output.includes('    private final List<String> names = new ArrayList<>();'));
+        a.ok(output.includes('    @Override\n    public List<String> find(String query, int limit) throws IOException {}'));
+        a.ok(output.includes('    interface Listener {\n        void onChange(String name);\n        default void reset() {}\n    }'));
+        a.ok(output.includes('    enum Mode {\n        FAST, SLOW\n    }'));
+        a.ok(!output.includes('init()'), "Initializer blocks are removed");
+        a.ok(!output.includes('List.of'), "Method bodies are removed");
+      },
+    },
+  ],
+};
@@ -0,0 +1,275 @@
+/**
+ * Skeleton extraction for Python.
+ *
+ * - `def`/`async def`/`class` lines (including multi-line signatures) and their decorators are kept.
+ * - Docstrings directly under a `def` or `class` are kept.
+ * - Function bodies are replaced with `...`.
+ * - Imports, module-level assignments to plain names (constants, `__all__`, type aliases)
+ *   and class-level attributes are kept.
+ * - Other statements (calls, `if __name__ == "__main__":`, loops) are removed along with their blocks.
+ * - Comments at module and class level are kept.
+ */
+
+/**
+ * @param {string} content
+ * @returns {string}
+ */
+export function strip_logic_from_python(content) {
+  const logical_lines = split_logical_lines(content);
+  const output = [];
+  // Open `class` blocks: { indent, body_indent, has_members }
+  const classes = [];
+  let skip_deeper_than = null;
+  let pending_blank = false;
+
+  const emit = (line) => {
+    if (pending_blank && output.length) output.push('');
+    pending_blank = false;
+    output.push(line);
+  };
+  const close_classes = (indent) => {
+    while (classes.length && indent <= classes[classes.length - 1].indent) {
+      const closed = classes.pop();
+      if (!closed.has_members) output.push(' '.repeat(closed.body_indent) + '...');
+    }
+  };
+
+  for (let index = 0; index < logical_lines.length; index++) {
+    const line = logical_lines[index];
+    if (line.is_blank) {
+      pending_blank = true;
+      continue;
+    }
+    if (skip_deeper_than !== null) {
+      if (line.indent > skip_deeper_than) {
+        pending_blank = false;
+        continue;
+      }
+      skip_deeper_than = null;
+    }
+    close_classes(line.indent);
+
+    const current_class = classes[classes.length - 1];
+    const text = reindent(line.text, line.indent);
+    const code = line.masked.trim();
+
+    if (line.is_comment) {
+      emit(text);
+      continue;
+    }
+
+    const block_match = /^(async\s+def|def|class)\b/.exec(code);
+    if (block_match) {
+      if (current_class) current_class.has_members = true;
+      const colon = find_block_colon(line.masked);
+      const inline_body = colon !== -1 && line.masked.slice(colon + 1).trim() !== '';
+      const header = inline_body ? line.text.slice(0, colon + 1) : line.text;
+      const next = logical_lines.slice(index + 1).find((candidate) => !candidate.is_blank);
+      const body_indent = next && next.indent > line.indent && !inline_body ? next.indent : line.indent + 4;
+      const docstring = !inline_body && next && next.indent > line.indent && next.is_string ? next : null;
+
+      if (block_match[1] === 'class') {
+        emit(reindent(header, line.indent) + (inline_body ? ' ...' : ''));
+        if (docstring) {
+          output.push(reindent(docstring.text, docstring.indent));
+          index = logical_lines.indexOf(docstring);
+        }
+        if (!inline_body) classes.push({ indent: line.indent, body_indent, has_members: Boolean(docstring) });
+        continue;
+      }
+
+      if (inline_body) {
+        emit(reindent(header, line.indent) + ' ...');
+        continue;
+      }
+      emit(reindent(header, line.indent));
+      if (docstring) output.push(reindent(docstring.text, docstring.indent));
+      output.push(' '.repeat(body_indent) + '...');
+      skip_deeper_than = line.indent;
+      continue;
+    }
+
+    if (code.startsWith('@')) {
+      if (current_class) current_class.has_members = true;
+      emit(text);
+      continue;
+    }
+
+    const keep = current_class
+      ? /^[A-Za-z_]\w*\s*(:|=(?!=))/.test(code) || line.is_string
+      : /^(import|from)\s/.test(code) || /^[A-Za-z_]\w*\s*(:\s*[^=]+)?=(?!=)/.test(code) || (/^[A-Za-z_]\w*\s*:/.test(code) && !/:\s*$/.test(code));
+    if (keep) {
+      if (current_class) current_class.has_members = true;
+      emit(text);
+      continue;
+    }
+
+    // Anything else is logic; drop it together with its nested block.
+    skip_deeper_than = line.indent;
+  }
+  close_classes(-1);
+
+  return output.join('\n').trim() + '\n';
+}
+
+/**
+ * Position of the `:` that opens the block of a `def`/`class` line, or -1.
+ */
+function find_block_colon(masked) {
+  let depth = 0;
+  for (let i = 0; i < masked.length; i++) {
+    const ch = masked[i];
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+    else if (ch === ':' && depth === 0) return i;
+  }
+  return -1;
+}
+
+function reindent(text, indent) {
+  const lines = text.split('\n');
+  return lines.map((line, i) => (i === 0 ? ' '.repeat(indent) + line.trimStart() : line)).join('\n');
+}
+
+/**
+ * Split Python source into logical lines: bracketed expressions, backslash continuations and
+ * triple-quoted strings spanning several physical lines become one entry.
+ * @returns {Array<{text: string, masked: string, indent: number, is_blank: boolean, is_comment: boolean, is_string: boolean}>}
+ */
+export function split_logical_lines(content) {
+  const lines = [];
+  let start = 0;
+  let masked = '';
+  let depth = 0;
+  let i = 0;
+
+  const finish = (end) => {
+    const text = content.slice(start, end).replace(/\s+$/, '');
+    const first_line = text.split('\n')[0];
+    const indent = first_line.length - first_line.trimStart().length;
+    const code = masked.trim();
+    lines.push({
+      text,
+      masked,
+      indent,
+      is_blank: text.trim() === '',
+      is_comment: code === '' && text.trim().startsWith('#'),
+      is_string: /^[rRbBuUfF]{0,2}("""|'''|"|')[\s\S]*\1$/.test(code) && /^[rRbBuUfF]{0,2}["']/.test(text.trim()),
+    });
+    start = end + 1;
+    masked = '';
+  };
+
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '#') {
+      const line_end = content.indexOf('\n', i);
+      const end = line_end === -1 ? content.length : line_end;
+      masked += ' '.repeat(end - i);
+      i = end;
+      continue;
+    }
+    const quote = /^[rRbBuUfF]{0,2}("""|'''|"|')/.exec(content.slice(i, i + 5));
+    if (quote && !/[\w]/.test(content[i - 1] || '')) {
+      const delimiter = quote[1];
+      const raw = /[rR]/.test(quote[0].slice(0, -delimiter.length));
+      let j = i + quote[0].length;
+      let closed = false;
+      while (j < content.length) {
+        if (content[j] === '\\' && !raw) {
+          j += 2;
+          continue;
+        }
+        if (content.startsWith(delimiter, j)) {
+          j += delimiter.length;
+          closed = true;
+          break;
+        }
+        if (content[j] === '\n' && delimiter.length === 1) break;
+        j++;
+      }
+      const interior_end = closed ? j - delimiter.length : j;
+      masked += quote[0] + content.slice(i + quote[0].length, interior_end).replace(/[^\n]/g, ' ') + (closed ? delimiter : '');
+      i = j;
+      continue;
+    }
+    if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === '\n' && depth === 0 && content[i - 1] !== '\\') {
+      finish(i);
+      i++;
+      continue;
+    }
+    masked += ch;
+    i++;
+  }
+  if (start < content.length) finish(content.length);
+  return lines;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "python_keeps_signatures_decorators_and_docstrings",
+      before: async function () {
+        this.input = [
+          'import os',
+          'from typing import List',
+          '',
+          'MAX_ITEMS = 10',
+          '',
+          '# Shared helpers',
+          '@dataclass',
+          'class Item(Base):',
+          '    """An item."""',
+          '    name: str',
+          '    count: int = 0',
+          '',
+          '    @property',
+          '    def label(self) -> str:',
+          '        """Display label."""',
+          '        if self.count > 0:',
+          '            return f"{self.name}: {self.count}"',
+          '        return self.name',
+          '',
+          '    async def load(',
+          '        self,',
+          '        path: str = "a:b",',
+          '    ) -> List["Item"]:',
+          '        data = """',
+          'def not_a_def():',
+          '"""',
+          '        return []',
+          '',
+          'def helper(x): return x * 2',
+          '',
+          'if __name__ == "__main__":',
+          '    main()',
+        ].join('\n');
+      },
+      assert: async function (a) {
+        const output = strip_logic_from_python(this.input);
+        a.ok(output.includes('import os\nfrom typing import List'));
+        a.ok(output.includes('MAX_ITEMS = 10'));
+        a.ok(output.includes('# Shared helpers\n@dataclass\nclass Item(Base):\n    """An item."""\n    name: str\n    count: int = 0'));
+        a.ok(output.includes('    @property\n    def label(self) -> str:\n        """Display label."""\n        ...'));
+        a.ok(output.includes('    async def load(\n        self,\n        path: str = "a:b",\n    ) -> List["Item"]:\n        ...'));
+        a.ok(output.includes('def helper(x): ...'));
+        a.ok(!output.includes('not_a_def'), "Strings inside bodies are removed");
+        a.ok(!output.includes('__main__'), "Top-level logic is removed");
+      },
+    },
+    {
+      name: "python_empty_class_gets_ellipsis",
+      before: async function () {
+        this.input = 'class Empty:\n    pass\n\nclass Other: pass\n';
+      },
+      assert: async function (a) {
+        const output = strip_logic_from_python(this.input);
+        a.equal(output, 'class Empty:\n    ...\n\nclass Other: ...\n');
+      },
+    },
+  ],
+};
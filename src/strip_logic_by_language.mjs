@@ -0,0 +1,81 @@
+import { strip_logic_from_content } from './strip_logic_from_content.mjs';
+import { strip_logic_from_python } from './skeleton_python.mjs';
+import { strip_logic_from_braces } from './skeleton_braces.mjs';
+
+const SKELETON_LANGUAGE_BY_EXTENSION = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  mts: 'javascript',
+  cts: 'javascript',
+  tsx: 'javascript',
+  py: 'python',
+  pyi: 'python',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+};
+
+const SKELETON_EXTRACTORS = {
+  javascript: (content) => strip_logic_from_content(content),
+  python: (content) => strip_logic_from_python(content),
+  go: (content) => strip_logic_from_braces(content, 'go'),
+  rust: (content) => strip_logic_from_braces(content, 'rust'),
+  java: (content) => strip_logic_from_braces(content, 'java'),
+};
+
+/**
+ * Skeleton extractor language for a file, keyed on its extension.
+ * @param {string} file_path
+ * @returns {string|null} `null` when no extractor supports the file.
+ */
+export function get_skeleton_language(file_path) {
+  const match = /\.([^./\\]+)$/.exec(file_path);
+  return (match && SKELETON_LANGUAGE_BY_EXTENSION[match[1].toLowerCase()]) || null;
+}
+
+/**
+ * Strip logic from a file using the extractor for its language.
+ * @param {string} file_path Used only to pick the language.
+ * @param {string} content
+ * @param {Object} [opts]
+ * @param {'full'|'skip'} [opts.unsupported='full'] What to do with files no extractor supports:
+ *   `full` returns the content unchanged, `skip` returns `null`.
+ * @returns {string|null}
+ */
+export function strip_logic_for_file(file_path, content, { unsupported = 'full' } = {}) {
+  const language = get_skeleton_language(file_path);
+  if (!language) return unsupported === 'skip' ? null : content;
+  return SKELETON_EXTRACTORS[language](content);
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "dispatches_on_file_extension",
+      before: async function () {},
+      assert: async function (a) {
+        a.equal(get_skeleton_language('src/app.tsx'), 'javascript');
+        a.equal(get_skeleton_language('tools/run.py'), 'python');
+        a.equal(get_skeleton_language('main.GO'), 'go');
+        a.equal(get_skeleton_language('README.md'), null);
+        a.equal(strip_logic_for_file('a.py', 'def f():\n    return 1\n'), 'def f():\n    ...\n');
+        a.equal(strip_logic_for_file('a.rs', 'fn f() -> u8 { 1 }\n'), 'fn f() -> u8 {}\n');
+      },
+    },
+    {
+      name: "unsupported_files_fall_back_or_skip",
+      before: async function () {
+        this.input = '# Title\n\nSome text.\n';
+      },
+      assert: async function (a) {
+        a.equal(strip_logic_for_file('README.md', this.input), this.input);
+        a.equal(strip_logic_for_file('README.md', this.input, { unsupported: 'skip' }), null);
+      },
+    },
+  ],
+};
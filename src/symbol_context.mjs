@@ -0,0 +1,259 @@
+import { strip_logic_for_file } from './strip_logic_by_language.mjs';
+
+/**
+ * Helpers built on the symbol and definition results of a language server: copying a piece of
+ * code together with what it refers to, and signature-only outlines for any language.
+ *
+ * Symbols and ranges are plain objects shaped like VS Code's `DocumentSymbol` and `Range`
+ * (`{start: {line, character}, end: {line, character}}`, 0-based), so nothing here needs the
+ * editor API.
+ */
+
+/** Names of `vscode.SymbolKind` values, indexed by kind. */
+export const symbol_kind_names = [
+  'file', 'module', 'namespace', 'package', 'class', 'method', 'property', 'field', 'constructor',
+  'enum', 'interface', 'function', 'variable', 'constant', 'string', 'number', 'boolean', 'array',
+  'object', 'key', 'null', 'enum member', 'struct', 'event', 'operator', 'type parameter',
+];
+
+/** Kinds that count as the enclosing function or class of a selection. */
+export const enclosing_symbol_kinds = [4, 5, 8, 9, 10, 11, 22];
+
+/** Method, constructor and function: their children are locals, left out of outlines. */
+const CALLABLE_SYMBOL_KINDS = [5, 8, 11];
+
+const NON_IDENTIFIERS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'bool', 'boolean', 'break', 'case', 'catch', 'class',
+  'const', 'continue', 'def', 'default', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export',
+  'extends', 'false', 'False', 'final', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go',
+  'if', 'impl', 'implements', 'import', 'in', 'instanceof', 'int', 'interface', 'is', 'lambda',
+  'let', 'match', 'mut', 'new', 'nil', 'None', 'not', 'null', 'number', 'of', 'or', 'package',
+  'pass', 'private', 'protected', 'pub', 'public', 'raise', 'readonly', 'return', 'self', 'static',
+  'string', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'True', 'try', 'type',
+  'typeof', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+/**
+ * The innermost symbol whose range contains `range`.
+ * @param {Array<{name: string, kind: number, range: Object, children?: Array}>} symbols
+ *   A `DocumentSymbol` tree, or a flat list.
+ * @param {{start: {line: number, character: number}, end: {line: number, character: number}}} range
+ * @param {Object} [opts]
+ * @param {number[]|null} [opts.kinds] Only consider symbols of these kinds.
+ * @returns {Object|null}
+ */
+export function find_enclosing_symbol(symbols, range, { kinds = null } = {}) {
+  let best = null;
+  const visit = (list) => {
+    for (const symbol of list || []) {
+      if (!range_contains(symbol.range, range)) continue;
+      if ((!kinds || kinds.includes(symbol.kind)) && (!best || range_contains(best.range, symbol.range))) best = symbol;
+      visit(symbol.children);
+    }
+  };
+  visit(symbols);
+  return best;
+}
+
+/**
+ * Identifiers in a piece of code, once each, in order of first use. Comments, string contents
+ * and common keywords are skipped.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {number} [opts.max=100]
+ * @returns {Array<{name: string, offset: number}>} `offset` is the first occurrence in `text`.
+ */
+export function find_identifiers(text, { max = 100 } = {}) {
+  const pattern = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|([A-Za-z_$][\w$]*)/g;
+  const seen = new Set();
+  const identifiers = [];
+  let match;
+  while ((match = pattern.exec(text)) && identifiers.length < max) {
+    const name = match[2];
+    if (!name || seen.has(name) || NON_IDENTIFIERS.has(name)) continue;
+    seen.add(name);
+    identifiers.push({ name, offset: match.index });
+  }
+  return identifiers;
+}
+
+/**
+ * Drop duplicate and nested pieces. The first piece is the code being copied and is always
+ * kept; pieces that overlap it are dropped, as are pieces inside another piece of the same file.
+ * @template {{key: string, start_line: number, end_line: number}} T
+ * @param {T[]} pieces `key` identifies the file.
+ * @returns {T[]} The first piece, then the rest ordered by file and line.
+ */
+export function merge_pieces([primary, ...others]) {
+  const overlaps = (a, b) => a.key === b.key && a.start_line <= b.end_line && b.start_line <= a.end_line;
+  const contains = (outer, inner) => outer.key === inner.key && outer.start_line <= inner.start_line && inner.end_line <= outer.end_line;
+  const candidates = others.filter((piece) => !overlaps(primary, piece));
+  const kept = candidates.filter((piece, index) => !candidates.some((other, other_index) => other_index !== index
+    && contains(other, piece)
+    && (!contains(piece, other) || other_index < index)));
+  kept.sort((a, b) => a.key.localeCompare(b.key) || a.start_line - b.start_line);
+  return [primary, ...kept];
+}
+
+/**
+ * @param {number} start_line 0-based.
+ * @param {number} end_line 0-based, inclusive.
+ * @returns {string} e.g. `lines 10-42`, or `line 7`.
+ */
+export function format_line_range(start_line, end_line) {
+  return start_line === end_line ? `line ${start_line + 1}` : `lines ${start_line + 1}-${end_line + 1}`;
+}
+
+/**
+ * A definition with its logic stripped. Falls back to the full text when the extractor has
+ * nothing to keep, e.g. for a plain constant.
+ * @param {string} file_path Used to pick the language.
+ * @param {string} text
+ * @returns {string}
+ */
+export function get_definition_skeleton(file_path, text) {
+  const skeleton = strip_logic_for_file(file_path, text);
+  return skeleton && skeleton.trim() ? skeleton : text;
+}
+
+/**
+ * Signature-only outline of a document built from its symbols, for languages without a
+ * skeleton extractor. Symbols are nested by indentation, in document order, and symbols inside
+ * functions, methods and constructors are left out.
+ *
+ * Each symbol is shown by the first line of its range, without a trailing `{`. When that line
+ * does not mention the symbol's name (attributes, decorators or comments come first), the line
+ * of its name is used instead, and failing that `kind name: detail`.
+ * @param {Array<{name: string, detail?: string, kind: number, range: Object, selectionRange?: Object, children?: Array}>} symbols
+ * @param {string[]} lines The document's lines.
+ * @returns {string} Empty when there are no symbols.
+ */
+export function format_symbol_outline(symbols, lines) {
+  const output = [];
+  const visit = (list, depth) => {
+    const sorted = [...(list || [])].sort((a, b) => compare_positions(a.range.start, b.range.start));
+    for (const symbol of sorted) {
+      output.push('  '.repeat(depth) + describe_symbol(symbol, lines));
+      if (!CALLABLE_SYMBOL_KINDS.includes(symbol.kind)) visit(symbol.children, depth + 1);
+    }
+  };
+  visit(symbols, 0);
+  return output.length ? output.join('\n') + '\n' : '';
+}
+
+function describe_symbol(symbol, lines) {
+  const candidates = [symbol.range.start.line, symbol.selectionRange?.start.line];
+  for (const line_number of candidates) {
+    const line = (lines[line_number] ?? '').trim().replace(/\s*\{\s*$/, '');
+    if (line && line.includes(symbol.name)) return line.length > 200 ? `${line.slice(0, 200)}…` : line;
+  }
+  const kind = symbol_kind_names[symbol.kind] || 'symbol';
+  return `${kind} ${symbol.name}${symbol.detail ? `: ${symbol.detail}` : ''}`;
+}
+
+function range_contains(outer, inner) {
+  return compare_positions(outer.start, inner.start) <= 0 && compare_positions(inner.end, outer.end) <= 0;
+}
+
+function compare_positions(a, b) {
+  return a.line - b.line || a.character - b.character;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "finds_innermost_enclosing_function_or_class",
+      before: async function () {
+        const range = (start_line, end_line) => ({ start: { line: start_line, character: 0 }, end: { line: end_line, character: 1 } });
+        this.range = range;
+        this.symbols = [
+          {
+            name: 'Server', kind: 4, range: range(0, 20), children: [
+              { name: 'port', kind: 6, range: range(1, 1), children: [] },
+              {
+                name: 'handle', kind: 5, range: range(3, 10), children: [
+                  { name: 'user', kind: 12, range: range(4, 4), children: [] },
+                ],
+              },
+            ],
+          },
+        ];
+      },
+      assert: async function (a) {
+        a.equal(find_enclosing_symbol(this.symbols, this.range(4, 4), { kinds: enclosing_symbol_kinds }).name, 'handle');
+        a.equal(find_enclosing_symbol(this.symbols, this.range(4, 4)).name, 'user');
+        a.equal(find_enclosing_symbol(this.symbols, this.range(1, 1), { kinds: enclosing_symbol_kinds }).name, 'Server');
+        a.equal(find_enclosing_symbol(this.symbols, this.range(25, 25)), null);
+      },
+    },
+    {
+      name: "finds_identifiers_outside_strings_and_comments",
+      before: async function () {
+        this.text = "const user = await load_user(id); // load_profile\nreturn format(user, 'fallback_name');";
+      },
+      assert: async function (a) {
+        a.deepEqual(find_identifiers(this.text).map((identifier) => identifier.name), ['user', 'load_user', 'id', 'format']);
+        a.equal(find_identifiers(this.text)[1].offset, this.text.indexOf('load_user'));
+        a.equal(find_identifiers(this.text, { max: 2 }).length, 2);
+      },
+    },
+    {
+      name: "outline_nests_symbol_declaration_lines",
+      before: async function () {
+        const range = (start_line, end_line) => ({ start: { line: start_line, character: 0 }, end: { line: end_line, character: 1 } });
+        this.lines = [
+          'namespace App {',
+          '  [Serializable]',
+          '  public class UserService : IUserService {',
+          '    public UserService(IRepo repo) {',
+          '      var cache = new Cache();',
+          '    }',
+          '    public User GetUser(int id) => repo.Find(id);',
+          '    public string Name { get; set; }',
+          '  }',
+          '}',
+        ];
+        this.symbols = [{
+          name: 'App', kind: 2, range: range(0, 9), children: [{
+            name: 'UserService', kind: 4, range: range(1, 8), selectionRange: range(2, 2), children: [
+              { name: 'GetUser', kind: 5, range: range(6, 6), children: [] },
+              { name: 'UserService', kind: 8, range: range(3, 5), children: [{ name: 'cache', kind: 12, range: range(4, 4), children: [] }] },
+              { name: 'Title', kind: 6, detail: 'string', range: range(7, 7), children: [] },
+            ],
+          }],
+        }];
+      },
+      assert: async function (a) {
+        a.equal(format_symbol_outline(this.symbols, this.lines), [
+          'namespace App',
+          '  public class UserService : IUserService',
+          '    public UserService(IRepo repo)',
+          '    public User GetUser(int id) => repo.Find(id);',
+          '    property Title: string',
+          '',
+        ].join('\n'));
+        a.equal(format_symbol_outline([], this.lines), '');
+      },
+    },
+    {
+      name: "merge_pieces_drops_duplicates_nested_and_overlapping_pieces",
+      before: async function () {
+        this.pieces = [
+          { key: 'a.ts', start_line: 10, end_line: 20, name: 'selection' },
+          { key: 'b.ts', start_line: 5, end_line: 9, name: 'User' },
+          { key: 'a.ts', start_line: 0, end_line: 40, name: 'class containing the selection' },
+          { key: 'b.ts', start_line: 6, end_line: 6, name: 'User.id' },
+          { key: 'a.ts', start_line: 50, end_line: 52, name: 'helper' },
+          { key: 'b.ts', start_line: 5, end_line: 9, name: 'User again' },
+        ];
+      },
+      assert: async function (a) {
+        a.deepEqual(merge_pieces(this.pieces).map((piece) => piece.name), ['selection', 'helper', 'User']);
+        a.equal(format_line_range(4, 4), 'line 5');
+        a.equal(format_line_range(4, 9), 'lines 5-10');
+      },
+    },
+  ],
+};
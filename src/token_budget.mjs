@@ -0,0 +1,274 @@
+/**
+ * Token budget helpers used to keep copied bundles within a model's context window.
+ *
+ * Token counts are a local estimate (no network, no model-specific vocabulary):
+ * - Runs of letters/digits count as one token per ~4 characters.
+ * - Each punctuation/symbol character counts as one token.
+ * - Newlines count as one token each.
+ * The estimate tends to land slightly above real BPE tokenizers for source code,
+ * which is the safe direction for a budget.
+ */
+
+const TRUNCATION_MARKER = (omitted_lines) => `... [${omitted_lines} lines omitted to fit token budget] ...`;
+
+/**
+ * Estimate how many tokens a string will use.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimate_tokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  const pieces = text.match(/[A-Za-z0-9_]+|\n|[^\sA-Za-z0-9_]/g) || [];
+  for (const piece of pieces) {
+    if (/^[A-Za-z0-9_]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 4);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Trim a list of files so the estimated total fits within `budget` tokens.
+ * Files are plain objects with at least `path` and `content`; `mtime_ms` is used by
+ * the `drop_least_recent` strategy. Files with the same `group` are kept or dropped together,
+ * e.g. a diff and the content it describes. Any other properties are passed through untouched.
+ *
+ * Strategies:
+ * - `drop_largest`: drop the files with the most tokens first.
+ * - `drop_least_recent`: drop the files with the oldest modification time first.
+ * - `truncate_head_tail`: cap every file at the same token limit, keeping the head and
+ *   tail of files over the cap. Falls back to `drop_largest` if even that cannot fit.
+ *
+ * @param {Array<{path: string, content: string, mtime_ms?: number, group?: string}>} files
+ * @param {Object} opts
+ * @param {number} opts.budget Maximum tokens for the whole bundle; `0` or less disables the budget.
+ * @param {string} [opts.strategy='drop_largest']
+ * @param {number} [opts.reserved_tokens=0] Tokens already used by headers (e.g. folder structure).
+ * @returns {{files: Array<Object>, dropped: string[], truncated: string[], total_tokens: number}}
+ */
+export function apply_token_budget(files, { budget, strategy = 'drop_largest', reserved_tokens = 0 } = {}) {
+  const entries = files.map((file) => ({ file, tokens: estimate_tokens(file.content) }));
+  const total = (list) => reserved_tokens + list.reduce((sum, entry) => sum + entry.tokens, 0);
+
+  if (!budget || budget <= 0 || total(entries) <= budget) {
+    return { files, dropped: [], truncated: [], total_tokens: total(entries) };
+  }
+
+  const available = budget - reserved_tokens;
+  const truncated = [];
+  let kept = entries;
+
+  if (strategy === 'truncate_head_tail') {
+    const cap = find_token_cap(entries.map((entry) => entry.tokens), available);
+    if (cap > 0) {
+      kept = entries.map((entry) => {
+        if (entry.tokens <= cap) return entry;
+        const content = truncate_head_tail(entry.file.content, cap);
+        truncated.push(entry.file.path);
+        return { file: { ...entry.file, content }, tokens: estimate_tokens(content) };
+      });
+    }
+  }
+
+  const groups = new Map();
+  for (const entry of kept) {
+    const key = entry.file.group ?? entry;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  const group_tokens = (group) => group.reduce((sum, entry) => sum + entry.tokens, 0);
+  const group_mtime = (group) => Math.max(...group.map((entry) => entry.file.mtime_ms || 0));
+  const drop_order = [...groups.values()].sort(strategy === 'drop_least_recent'
+    ? (a, b) => group_mtime(a) - group_mtime(b)
+    : (a, b) => group_tokens(b) - group_tokens(a)
+  );
+  const dropped = new Set();
+  let running_total = total(kept);
+  for (const group of drop_order) {
+    if (running_total <= budget) break;
+    for (const entry of group) dropped.add(entry);
+    running_total -= group_tokens(group);
+  }
+
+  const remaining = kept.filter((entry) => !dropped.has(entry));
+  return {
+    files: remaining.map((entry) => entry.file),
+    dropped: [...new Set(kept.filter((entry) => dropped.has(entry)).map((entry) => entry.file.path))],
+    truncated: truncated.filter((file_path) => remaining.some((entry) => entry.file.path === file_path)),
+    total_tokens: total(remaining),
+  };
+}
+
+/**
+ * Find the largest per-file cap so that the sum of min(tokens, cap) fits in `available`.
+ * @param {number[]} token_counts
+ * @param {number} available
+ * @returns {number} The cap, or 0 if nothing fits.
+ */
+function find_token_cap(token_counts, available) {
+  let low = 0;
+  let high = Math.max(0, ...token_counts);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const used = token_counts.reduce((sum, count) => sum + Math.min(count, mid), 0);
+    if (used <= available) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Keep the first and last lines of `content` so the result stays within `max_tokens`,
+ * replacing the middle with a marker line.
+ * @param {string} content
+ * @param {number} max_tokens
+ * @returns {string}
+ */
+export function truncate_head_tail(content, max_tokens) {
+  const lines = content.split('\n');
+  const marker_tokens = estimate_tokens(TRUNCATION_MARKER(lines.length)) + 1;
+  const half = Math.max(0, Math.floor((max_tokens - marker_tokens) / 2));
+
+  const head = [];
+  let head_tokens = 0;
+  for (const line of lines) {
+    const line_tokens = estimate_tokens(line) + 1;
+    if (head_tokens + line_tokens > half) break;
+    head.push(line);
+    head_tokens += line_tokens;
+  }
+
+  const tail = [];
+  let tail_tokens = 0;
+  for (let i = lines.length - 1; i >= head.length; i--) {
+    const line_tokens = estimate_tokens(lines[i]) + 1;
+    if (tail_tokens + line_tokens > half) break;
+    tail.unshift(lines[i]);
+    tail_tokens += line_tokens;
+  }
+
+  const omitted = lines.length - head.length - tail.length;
+  if (omitted <= 0) return content;
+  return [...head, TRUNCATION_MARKER(omitted), ...tail].join('\n');
+}
+
+/**
+ * Describe what a budget pass removed, for use in notifications.
+ * @param {{dropped: string[], truncated: string[], total_tokens: number}} result
+ * @param {number} budget
+ * @returns {string} Empty string when nothing was cut.
+ */
+export function describe_budget_result(result, budget) {
+  if (!result.dropped.length && !result.truncated.length) return '';
+  const parts = [`Token budget ${budget} (~${result.total_tokens} used).`];
+  if (result.dropped.length) {
+    parts.push(`Dropped ${result.dropped.length} file(s): ${result.dropped.join(', ')}.`);
+  }
+  if (result.truncated.length) {
+    parts.push(`Truncated ${result.truncated.length} file(s): ${result.truncated.join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "estimate_tokens_counts_words_and_symbols",
+      before: async function () {
+        this.input = 'const value = 1;\n';
+      },
+      assert: async function (a) {
+        // const(2) value(2) =(1) 1(1) ;(1) \n(1)
+        a.equal(estimate_tokens(this.input), 8);
+        a.equal(estimate_tokens(''), 0);
+      },
+    },
+    {
+      name: "under_budget_returns_files_unchanged",
+      before: async function () {
+        this.files = [{ path: 'a.js', content: 'a' }, { path: 'b.js', content: 'b' }];
+      },
+      assert: async function (a) {
+        const result = apply_token_budget(this.files, { budget: 100 });
+        a.equal(result.files, this.files);
+        a.deepEqual(result.dropped, []);
+        a.equal(describe_budget_result(result, 100), '');
+      },
+    },
+    {
+      name: "drop_largest_removes_biggest_files_first",
+      before: async function () {
+        this.files = [
+          { path: 'small.js', content: 'x' },
+          { path: 'big.js', content: 'x '.repeat(50) },
+          { path: 'medium.js', content: 'x '.repeat(5) },
+        ];
+      },
+      assert: async function (a) {
+        const result = apply_token_budget(this.files, { budget: 10, strategy: 'drop_largest' });
+        a.deepEqual(result.files.map((f) => f.path), ['small.js', 'medium.js']);
+        a.deepEqual(result.dropped, ['big.js']);
+        a.ok(result.total_tokens <= 10);
+      },
+    },
+    {
+      name: "drop_least_recent_removes_oldest_files_first",
+      before: async function () {
+        this.files = [
+          { path: 'new.js', content: 'x '.repeat(4), mtime_ms: 300 },
+          { path: 'old.js', content: 'x '.repeat(4), mtime_ms: 100 },
+          { path: 'mid.js', content: 'x '.repeat(4), mtime_ms: 200 },
+        ];
+      },
+      assert: async function (a) {
+        const result = apply_token_budget(this.files, { budget: 5, strategy: 'drop_least_recent' });
+        a.deepEqual(result.dropped, ['old.js', 'mid.js']);
+        a.deepEqual(result.files.map((f) => f.path), ['new.js']);
+      },
+    },
+    {
+      name: "grouped_files_are_dropped_together",
+      before: async function () {
+        this.files = [
+          { path: 'a.js', label: 'Diff', content: 'x '.repeat(3), group: 'a.js' },
+          { path: 'a.js', content: 'x '.repeat(30), group: 'a.js' },
+          { path: 'b.js', label: 'Diff', content: 'x '.repeat(20), group: 'b.js' },
+          { path: 'b.js', content: 'x '.repeat(20), group: 'b.js' },
+        ];
+      },
+      assert: async function (a) {
+        const result = apply_token_budget(this.files, { budget: 45, strategy: 'drop_largest' });
+        a.deepEqual(result.files.map((f) => f.path), ['a.js', 'a.js']);
+        a.deepEqual(result.dropped, ['b.js']);
+      },
+    },
+    {
+      name: "truncate_head_tail_keeps_start_and_end",
+      before: async function () {
+        this.lines = Array.from({ length: 200 }, (_, i) => `line${i}`);
+        this.files = [
+          { path: 'short.js', content: 'short' },
+          { path: 'long.js', content: this.lines.join('\n') },
+        ];
+      },
+      assert: async function (a) {
+        const result = apply_token_budget(this.files, { budget: 120, strategy: 'truncate_head_tail', reserved_tokens: 10 });
+        a.deepEqual(result.dropped, []);
+        a.deepEqual(result.truncated, ['long.js']);
+        const long = result.files.find((f) => f.path === 'long.js').content;
+        a.ok(long.startsWith('line0\n'), "Head is kept");
+        a.ok(long.endsWith('line199'), "Tail is kept");
+        a.match(long, /lines omitted to fit token budget/);
+        a.ok(result.total_tokens <= 120);
+      },
+    },
+  ],
+};
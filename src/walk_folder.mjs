@@ -0,0 +1,301 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+/**
+ * Asynchronous folder walk shared by folder copies, presets and the preview view.
+ *
+ * - One pass yields both the text files to copy and the entries for the folder tree.
+ * - Symlinks are followed, but a link to a folder that is already being walked (a loop) or
+ *   was already walked is skipped.
+ * - The walk stops early when cancelled or when the file-count or total-size limit is reached;
+ *   files over the per-file size limit and subfolders that can't be read are skipped and the
+ *   walk goes on.
+ * - Ignore rules and text detection are passed in, so the walk has no editor dependencies.
+ */
+
+export const default_walk_limits = {
+  max_files: 5000,
+  max_file_size: 1024 * 1024,
+  max_total_size: 20 * 1024 * 1024,
+};
+
+/**
+ * @typedef {Object} SkippedEntry
+ * @property {string} full_path
+ * @property {boolean} is_directory
+ * @property {'ignored'|'not_text'|'too_large'|'symlink_loop'|'symlink_repeat'|'broken_symlink'|'unreadable'} kind
+ * @property {string} reason Human-readable explanation, e.g. `ignored by node_modules`.
+ */
+
+/**
+ * @typedef {Object} WalkResult
+ * @property {Array<{full_path: string, size: number, mtime_ms: number}>} files Text files, in tree order.
+ * @property {string[]} tree_paths Relative paths of every entry that is not ignored, for `build_file_tree`.
+ * @property {SkippedEntry[]} skipped
+ * @property {number} total_size Bytes across `files`.
+ * @property {null|'cancelled'|'max_files'|'max_total_size'} stopped Why the walk ended early, if it did.
+ */
+
+/**
+ * Walk a folder.
+ * @param {string} root_path
+ * @param {Object} opts
+ * @param {string} [opts.base_path=root_path] Folder that relative paths are computed against.
+ * @param {(relative_path: string, name: string, full_path: string, is_directory: boolean) => string|null} [opts.get_ignore_reason]
+ *   Returns why an entry is ignored, or null to keep it.
+ * @param {(full_path: string) => boolean} [opts.is_text_file]
+ * @param {(relative_path: string) => boolean} [opts.filter_file] Files it rejects are left out silently:
+ *   not copied, not in the tree, not counted against limits.
+ * @param {{max_files?: number, max_file_size?: number, max_total_size?: number}} [opts.limits]
+ *   Sizes are in bytes; `0` disables a limit.
+ * @param {() => boolean} [opts.is_cancelled]
+ * @param {(file_count: number) => void} [opts.on_progress] Called after each text file is added.
+ * @returns {Promise<WalkResult>}
+ */
+export async function walk_folder(root_path, {
+  base_path = root_path,
+  get_ignore_reason = () => null,
+  is_text_file = () => true,
+  filter_file = () => true,
+  limits = default_walk_limits,
+  is_cancelled = () => false,
+  on_progress = () => {},
+} = {}) {
+  const { max_files = 0, max_file_size = 0, max_total_size = 0 } = limits;
+  const result = { files: [], tree_paths: [], skipped: [], total_size: 0, stopped: null };
+  const visited = new Set();
+
+  const visit = async (dir, ancestors) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (dir === root_path) throw error;
+      result.skipped.push({ full_path: dir, is_directory: true, kind: 'unreadable', reason: `could not be read (${error.code || error.message})` });
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (result.stopped) return;
+      if (is_cancelled()) {
+        result.stopped = 'cancelled';
+        return;
+      }
+      const full_path = path.join(dir, entry.name);
+      const relative_path = path.relative(base_path, full_path).replace(/\\/g, '/');
+
+      // Stat follows symlinks, so a link to a folder matches folder-only rules like `build/`.
+      const stat = await fs.promises.stat(full_path).catch(() => null);
+      const is_directory = stat ? stat.isDirectory() : entry.isDirectory();
+      const ignore_reason = get_ignore_reason(relative_path, entry.name, full_path, is_directory);
+      if (ignore_reason) {
+        result.skipped.push({ full_path, is_directory, kind: 'ignored', reason: ignore_reason });
+        continue;
+      }
+      if (!stat) {
+        result.skipped.push({ full_path, is_directory: false, kind: 'broken_symlink', reason: 'broken symlink' });
+        continue;
+      }
+
+      if (is_directory) {
+        const real_path = await fs.promises.realpath(full_path);
+        if (visited.has(real_path)) {
+          const is_loop = ancestors.includes(real_path);
+          result.skipped.push({
+            full_path,
+            is_directory: true,
+            kind: is_loop ? 'symlink_loop' : 'symlink_repeat',
+            reason: is_loop ? 'symlink loop' : 'links to a folder already included',
+          });
+          continue;
+        }
+        visited.add(real_path);
+        result.tree_paths.push(relative_path);
+        await visit(full_path, [...ancestors, real_path]);
+        continue;
+      }
+      if (!stat.isFile() || !filter_file(relative_path)) continue;
+
+      result.tree_paths.push(relative_path);
+      if (!is_text_file(full_path)) {
+        result.skipped.push({ full_path, is_directory: false, kind: 'not_text', reason: 'not a text file' });
+        continue;
+      }
+      if (max_file_size && stat.size > max_file_size) {
+        result.skipped.push({ full_path, is_directory: false, kind: 'too_large', reason: `larger than ${format_size(max_file_size)}` });
+        continue;
+      }
+      if (max_files && result.files.length >= max_files) {
+        result.stopped = 'max_files';
+        return;
+      }
+      if (max_total_size && result.total_size + stat.size > max_total_size) {
+        result.stopped = 'max_total_size';
+        return;
+      }
+      result.files.push({ full_path, size: stat.size, mtime_ms: stat.mtimeMs });
+      result.total_size += stat.size;
+      on_progress(result.files.length);
+    }
+  };
+
+  const root_real_path = await fs.promises.realpath(root_path);
+  visited.add(root_real_path);
+  await visit(root_path, [root_real_path]);
+  return result;
+}
+
+/**
+ * Summarize what a walk left out because of limits or symlinks. Ignored and binary files are
+ * expected and not mentioned.
+ * @param {WalkResult} result
+ * @param {{max_files?: number, max_total_size?: number}} [limits]
+ * @returns {string} Empty string when nothing notable was skipped.
+ */
+export function describe_walk_result(result, limits = default_walk_limits) {
+  const lines = [];
+  if (result.stopped === 'max_files') {
+    lines.push(`Stopped after ${result.files.length} files (file count limit ${limits.max_files}); the rest of the folder was not copied.`);
+  } else if (result.stopped === 'max_total_size') {
+    lines.push(`Stopped at ${format_size(result.total_size)} (total size limit ${format_size(limits.max_total_size)}); the rest of the folder was not copied.`);
+  }
+  const groups = [
+    ['too_large', 'file(s) over the size limit'],
+    ['symlink_loop', 'symlink loop(s)'],
+    ['symlink_repeat', 'symlinked folder(s) already included'],
+    ['broken_symlink', 'broken symlink(s)'],
+    ['unreadable', 'folder(s) that could not be read'],
+  ];
+  for (const [kind, label] of groups) {
+    const entries = result.skipped.filter((entry) => entry.kind === kind);
+    if (!entries.length) continue;
+    const names = entries.slice(0, 5).map((entry) => path.basename(entry.full_path));
+    const more = entries.length > names.length ? `, and ${entries.length - names.length} more` : '';
+    lines.push(`Skipped ${entries.length} ${label}: ${names.join(', ')}${more}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. `512 B`, `1.5 KB`, `20 MB`.
+ */
+export function format_size(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number(value.toFixed(1))} ${units[unit]}`;
+}
+
+export const test = {
+  setup: async () => {},
+
+  cases: [
+    {
+      name: "walk_collects_files_and_tree_in_one_pass",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-walk-'));
+        await fs.promises.mkdir(path.join(this.root, 'src/empty'), { recursive: true });
+        await fs.promises.mkdir(path.join(this.root, 'node_modules/pkg'), { recursive: true });
+        await fs.promises.writeFile(path.join(this.root, 'src/a.js'), 'a');
+        await fs.promises.writeFile(path.join(this.root, 'src/logo.png'), 'png');
+        await fs.promises.writeFile(path.join(this.root, 'node_modules/pkg/index.js'), 'x');
+        await fs.promises.writeFile(path.join(this.root, 'big.txt'), 'x'.repeat(200));
+      },
+      assert: async function (a) {
+        const result = await walk_folder(this.root, {
+          get_ignore_reason: (relative_path) => relative_path === 'node_modules' ? 'ignored by node_modules' : null,
+          is_text_file: (full_path) => !full_path.endsWith('.png'),
+          limits: { max_file_size: 100 },
+        });
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+        a.deepEqual(result.files.map((file) => path.relative(this.root, file.full_path)), [path.join('src', 'a.js')]);
+        a.deepEqual(result.tree_paths, ['big.txt', 'src', 'src/a.js', 'src/empty', 'src/logo.png']);
+        a.deepEqual(result.skipped.map((entry) => [path.basename(entry.full_path), entry.kind]), [
+          ['big.txt', 'too_large'],
+          ['node_modules', 'ignored'],
+          ['logo.png', 'not_text'],
+        ]);
+        a.equal(result.stopped, null);
+        a.equal(describe_walk_result(result), 'Skipped 1 file(s) over the size limit: big.txt.');
+      },
+    },
+    {
+      name: "walk_skips_symlink_loops_and_stops_at_limits",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-walk-'));
+        await fs.promises.mkdir(path.join(this.root, 'dir'));
+        for (const name of ['1.txt', '2.txt', '3.txt']) {
+          await fs.promises.writeFile(path.join(this.root, 'dir', name), name);
+        }
+        await fs.promises.symlink(this.root, path.join(this.root, 'dir', 'loop'), 'dir');
+        await fs.promises.symlink(path.join(this.root, 'missing'), path.join(this.root, 'broken'));
+      },
+      assert: async function (a) {
+        const walked = await walk_folder(this.root);
+        const limited = await walk_folder(this.root, { limits: { max_files: 2 } });
+        let checks = 0;
+        const cancelled = await walk_folder(this.root, { is_cancelled: () => ++checks > 2 });
+        await fs.promises.rm(this.root, { recursive: true, force: true });
+
+        a.equal(walked.files.length, 3);
+        a.deepEqual(walked.skipped.map((entry) => entry.kind).sort(), ['broken_symlink', 'symlink_loop']);
+        a.equal(limited.files.length, 2);
+        a.equal(limited.stopped, 'max_files');
+        a.ok(describe_walk_result(limited).startsWith('Stopped after 2 files'));
+        a.equal(cancelled.stopped, 'cancelled');
+      },
+    },
+    {
+      name: "walk_treats_symlinked_folders_as_folders_and_skips_unreadable_ones",
+      before: async function () {
+        this.root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sc-walk-'));
+        await fs.promises.mkdir(path.join(this.root, 'out'));
+        await fs.promises.mkdir(path.join(this.root, 'locked'));
+        await fs.promises.writeFile(path.join(this.root, 'out', 'bundle.js'), 'x');
+        await fs.promises.writeFile(path.join(this.root, 'locked', 'secret.txt'), 'x');
+        await fs.promises.writeFile(path.join(this.root, 'z.txt'), 'z');
+        await fs.promises.symlink(path.join(this.root, 'out'), path.join(this.root, 'build'), 'dir');
+      },
+      assert: async function (a) {
+        const locked = path.join(this.root, 'locked');
+        const readdir = fs.promises.readdir;
+        fs.promises.readdir = async (dir, opts) => {
+          if (dir === locked) throw Object.assign(new Error('permission denied'), { code: 'EACCES' });
+          return readdir(dir, opts);
+        };
+        let result;
+        try {
+          result = await walk_folder(this.root, {
+            get_ignore_reason: (relative_path, name, full_path, is_directory) => (is_directory && name === 'build' ? 'ignored by build/' : null),
+          });
+        } finally {
+          fs.promises.readdir = readdir;
+          await fs.promises.rm(this.root, { recursive: true, force: true });
+        }
+
+        a.deepEqual(result.skipped.map((entry) => [path.basename(entry.full_path), entry.kind, entry.is_directory]), [
+          ['build', 'ignored', true],
+          ['locked', 'unreadable', true],
+        ]);
+        a.deepEqual(result.files.map((file) => path.basename(file.full_path)), ['bundle.js', 'z.txt']);
+        a.equal(describe_walk_result(result), 'Skipped 1 folder(s) that could not be read: locked.');
+      },
+    },
+    {
+      name: "format_size_uses_binary_units",
+      before: async function () {},
+      assert: async function (a) {
+        a.equal(format_size(512), '512 B');
+        a.equal(format_size(1536), '1.5 KB');
+        a.equal(format_size(20 * 1024 * 1024), '20 MB');
+      },
+    },
+  ],
+};